@@ -0,0 +1,196 @@
+/**
+ * balance.js
+ * Balance (重心と支持基底面によるバランス・立ち直りの評価)
+ *
+ * 役割:
+ * 1. 接地している足 (27〜32) から支持基底面 (床に投影した凸包) を作る
+ * 2. 重心 (NormalizationEngine.calculateCOG) の床への投影が基底面からどれだけ外れたか
+ * 3. 基底面から一定時間外れ続けた「バランスを崩した」区間の検出
+ * 4. 頂点から、両足で立って重心が基底面に収まる安定した構えに戻るまでの時間
+ *    (打撃の範囲の後のフレームも使う。maxRecoverySec まで見届けられなければ recovered は null = 判定不能)
+ *
+ * 入力はワールド座標 (m, 腰中点原点, y下向き)。床は x-z 平面とみなす。
+ * 接地の判定: そのフレームで最も低い足の点から groundTolerance 以内に足の最下点があれば接地。
+ */
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const BalanceNormalizationEngine = (typeof NormalizationEngine !== 'undefined')
+    ? NormalizationEngine
+    : require('./normalization.js');
+
+// 左右の足のランドマーク (足首・かかと・つま先)
+const BALANCE_FEET = {
+    left: [27, 29, 31],
+    right: [28, 30, 32]
+};
+
+class BalanceAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {Number} options.groundTolerance - 最も低い足の点からこの高さ以内なら接地 (m, 既定: 0.05)
+     * @param {Number} options.lossThreshold - 重心が基底面からこれ以上外れたらバランスを崩している (m, 既定: 0.03)
+     * @param {Number} options.minLossSec - この時間以上外れ続けたら「崩した」区間として報告 (既定: 0.1)
+     * @param {Number} options.stableSec - 立ち直りとみなす安定した構えの継続時間 (既定: 0.2)
+     * @param {Number} options.maxRecoverySec - 頂点からこの時間内に安定し始めなければ「戻っていない」 (既定: 1.5)
+     */
+    constructor(options = {}) {
+        this.groundTolerance = options.groundTolerance !== undefined ? options.groundTolerance : 0.05;
+        this.lossThreshold = options.lossThreshold !== undefined ? options.lossThreshold : 0.03;
+        this.minLossSec = options.minLossSec !== undefined ? options.minLossSec : 0.1;
+        this.stableSec = options.stableSec !== undefined ? options.stableSec : 0.2;
+        this.maxRecoverySec = options.maxRecoverySec !== undefined ? options.maxRecoverySec : 1.5;
+        this.engine = new BalanceNormalizationEngine();
+    }
+
+    /**
+     * テイクのバランスを評価する
+     * @param {Array} history - [{time(ms), pose(ワールド座標)}]
+     * @param {Object} options
+     * @param {Number} options.start - 打撃の出だし (history のインデックス, 既定: 0)
+     * @param {Number} options.apex - 打撃の頂点 (立ち直りの計測開始, 既定: 最終フレーム)
+     * @param {Number} options.end - 打撃の範囲の最終フレーム (既定: 最終フレーム)。
+     *                               以降のフレームは立ち直りの計測にだけ使う (トリムの後ろも含めて渡す)
+     * @returns {Object} { frames: [{margin, grounded}], summary }
+     */
+    analyze(history, options = {}) {
+        const last = Math.min(history.length - 1, options.end !== undefined ? options.end : history.length - 1);
+        const start = Math.max(0, options.start || 0);
+        const apex = Math.min(last, options.apex !== undefined ? options.apex : last);
+        const startTime = history[0].time;
+        const timeSec = (i) => (history[i].time - startTime) / 1000;
+
+        const frames = history.map(frame => this.assessFrame(frame.pose));
+
+        // 打撃中 (出だし〜範囲の最終フレーム) に基底面から外れた最大距離
+        const outside = frames.map(f => Math.max(0, -f.margin)).slice(0, last + 1);
+        const maxExcursion = Math.max(0, ...outside.slice(start));
+
+        // バランスを崩した区間: 外れた距離が lossThreshold を超えて minLossSec 以上続いた
+        const losses = [];
+        let lossStart = -1;
+        for (let i = start; i <= outside.length; i++) {
+            const lost = i < outside.length && outside[i] > this.lossThreshold;
+            if (lost && lossStart < 0) lossStart = i;
+            if (!lost && lossStart >= 0) {
+                const end = i - 1;
+                const duration = timeSec(end) - timeSec(lossStart);
+                if (duration >= this.minLossSec) {
+                    losses.push({
+                        start: lossStart,
+                        end: end,
+                        start_sec: this.round(timeSec(lossStart), 3),
+                        duration_sec: this.round(duration, 3),
+                        max_outside_m: this.round(Math.max(...outside.slice(lossStart, end + 1)), 3)
+                    });
+                }
+                lossStart = -1;
+            }
+        }
+
+        // 立ち直り: 頂点から maxRecoverySec 以内に、両足で立って重心が基底面内にある状態が始まり stableSec 続いた
+        let recoveryTime = null;
+        let stableFrom = -1;
+        for (let i = apex; i < history.length; i++) {
+            const stable = frames[i].grounded.length === 2 && frames[i].margin >= 0;
+            if (!stable) {
+                stableFrom = -1;
+                if (timeSec(i) - timeSec(apex) > this.maxRecoverySec) break;
+                continue;
+            }
+            if (stableFrom < 0) {
+                if (timeSec(i) - timeSec(apex) > this.maxRecoverySec) break;
+                stableFrom = i;
+            }
+            if (timeSec(i) - timeSec(stableFrom) >= this.stableSec) {
+                recoveryTime = timeSec(stableFrom) - timeSec(apex);
+                break;
+            }
+        }
+        // 戻らないまま記録が終わった (maxRecoverySec + stableSec を見届けていない) なら判定不能
+        const observedSec = timeSec(history.length - 1) - timeSec(apex);
+        let recovered = recoveryTime !== null;
+        if (!recovered && observedSec < this.maxRecoverySec + this.stableSec) recovered = null;
+
+        const strikeFrames = frames.slice(start, last + 1);
+        return {
+            frames: frames,
+            summary: {
+                min_margin_m: this.round(Math.min(...strikeFrames.map(f => f.margin)), 3),
+                max_cog_excursion_m: this.round(maxExcursion, 3),
+                outside_ratio: this.round(outside.slice(start).filter(d => d > 0).length / strikeFrames.length, 2),
+                loss_events: losses,
+                recovery_time_sec: recoveryTime !== null ? this.round(recoveryTime, 3) : null,
+                recovered: recovered
+            }
+        };
+    }
+
+    /**
+     * 1フレーム分の重心と支持基底面
+     * @param {Array} pose - ワールド座標
+     * @returns {Object} { margin: 基底面の縁までの距離 (m, 内側が正・外側が負), grounded: ['left'|'right'] }
+     */
+    assessFrame(pose) {
+        const lowest = Math.max(...[].concat(...Object.values(BALANCE_FEET)).map(i => pose[i].y));
+        const grounded = Object.keys(BALANCE_FEET).filter(side =>
+            Math.max(...BALANCE_FEET[side].map(i => pose[i].y)) >= lowest - this.groundTolerance
+        );
+        const base = this.convexHull([].concat(...grounded.map(side => BALANCE_FEET[side].map(i => ({ x: pose[i].x, z: pose[i].z })))));
+        const cog = this.engine.calculateCOG(pose);
+        return { margin: this.getSignedDistance({ x: cog.x, z: cog.z }, base), grounded: grounded };
+    }
+
+    // 床 (x-z) 上の凸包 (Andrew's monotone chain, 反時計回り)
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+        if (sorted.length < 3) return sorted;
+        const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+        const lower = [];
+        sorted.forEach(p => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        });
+        const upper = [];
+        [...sorted].reverse().forEach(p => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        });
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    // 点から多角形の縁までの距離 (内側が正・外側が負。面積の無い多角形は常に外側)
+    getSignedDistance(point, polygon) {
+        if (polygon.length === 0) return -Infinity;
+        if (polygon.length === 1) return -Math.hypot(point.x - polygon[0].x, point.z - polygon[0].z);
+
+        let minDist = Infinity;
+        let inside = polygon.length >= 3;
+        polygon.forEach((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            minDist = Math.min(minDist, this.getSegmentDistance(point, a, b));
+            // 反時計回りの各辺の左側にあれば内側
+            if ((b.x - a.x) * (point.z - a.z) - (b.z - a.z) * (point.x - a.x) < 0) inside = false;
+        });
+        return inside ? minDist : -minDist;
+    }
+
+    // --- Helpers ---
+    getSegmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq)) : 0;
+        return Math.hypot(p.x - (a.x + dx * t), p.z - (a.z + dz * t));
+    }
+
+    round(value, digits) {
+        return parseFloat(value.toFixed(digits));
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.BalanceAnalyzer = BalanceAnalyzer;
+} else if (typeof module !== 'undefined') {
+    module.exports = BalanceAnalyzer;
+}
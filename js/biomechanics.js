@@ -0,0 +1,183 @@
+/**
+ * biomechanics.js
+ * Biomechanics (関節角度などのフォーム指標)
+ *
+ * 役割:
+ * 1. 体幹を基準にした座標軸 (前・下・外側) の推定
+ * 2. フレームごとの角度: 膝の伸展・股関節の屈曲/外転・軸足の回旋・体幹の傾き
+ * 3. 頂点での値とチャンバー (膝の引き上げ) の高さのまとめ
+ *
+ * 入力はワールド座標 (m, 腰中点原点, y下向き)。左右どちらの向きのデータでもよい (蹴り足は activePart で決まる)。
+ * 高さは本人の体格に合わせた比 (0 = 腰の高さ, 1 = 肩の高さ) で表す。
+ */
+
+// 左右の脚のランドマーク (蹴り足・軸足の判定に使う)
+const BIOMECHANICS_LEGS = {
+    left: { hip: 23, knee: 25, ankle: 27, heel: 29, toe: 31 },
+    right: { hip: 24, knee: 26, ankle: 28, heel: 30, toe: 32 }
+};
+
+class BiomechanicsAnalyzer {
+    /**
+     * テイクの角度の推移と、頂点での値をまとめる
+     * @param {Array} history - [{time(ms), pose(ワールド座標)}]
+     * @param {Object} options
+     * @param {String} options.activePart - metrics.active_part (足なら蹴り足として脚の指標を出す)
+     * @param {Number} options.apexFrame - metrics.apex_frame (history のインデックス)
+     * @returns {Object} { summary, series: { name: [deg] } } (series は history と同じ長さ)
+     */
+    analyze(history, options = {}) {
+        const apex = Math.min(Math.max(0, options.apexFrame || 0), history.length - 1);
+        const side = options.activePart === 'left_foot' ? 'left'
+            : (options.activePart === 'right_foot' ? 'right' : null);
+
+        const series = {
+            torso_lean: history.map(frame => this.round(this.getTorsoLean(frame.pose), 1))
+        };
+        const summary = {
+            torso_lean_deg: series.torso_lean[apex]
+        };
+        if (!side) return { summary: summary, series: series };
+
+        // 蹴り足の指標 (手の打撃では出さない)
+        const kick = BIOMECHANICS_LEGS[side];
+        const support = BIOMECHANICS_LEGS[side === 'left' ? 'right' : 'left'];
+        const hipAngles = history.map(frame => this.getHipAngles(frame.pose, kick));
+        const startYaw = this.getFootYaw(history[0].pose, support);
+
+        series.knee_extension = history.map(frame => this.round(this.getKneeExtension(frame.pose, kick), 1));
+        series.hip_flexion = hipAngles.map(angles => this.round(angles.flexion, 1));
+        series.hip_abduction = hipAngles.map(angles => this.round(angles.abduction, 1));
+        series.pivot_rotation = history.map(frame =>
+            this.round(this.wrapAngle(this.getFootYaw(frame.pose, support) - startYaw), 1)
+        );
+
+        // チャンバー: 頂点までで膝が最も高く上がった位置
+        const chamber = Math.max(...history.slice(0, apex + 1).map(frame => this.getRelativeHeight(frame.pose, kick.knee)));
+
+        return {
+            summary: {
+                kicking_leg: side,
+                knee_extension_deg: series.knee_extension[apex],
+                hip_flexion_deg: series.hip_flexion[apex],
+                hip_abduction_deg: series.hip_abduction[apex],
+                chamber_height: this.round(chamber, 2),
+                strike_height: this.round(this.getRelativeHeight(history[apex].pose, kick.toe), 2),
+                pivot_rotation_deg: series.pivot_rotation[apex],
+                ...summary
+            },
+            series: series
+        };
+    }
+
+    // 膝の角度 (腰-膝-足首。180 = 伸び切っている)
+    getKneeExtension(pose, leg) {
+        return this.getAngle(pose[leg.hip], pose[leg.knee], pose[leg.ankle]);
+    }
+
+    /**
+     * 股関節の角度 (太もも = 腰→膝)
+     * flexion: 体の前後の面で、体幹の下向きから前方への屈曲 (+) / 後方への伸展 (-)
+     * abduction: 前後の面から外側への外転 (+) / 内側への内転 (-) (90 = 真横に上がっている)
+     */
+    getHipAngles(pose, leg) {
+        const axes = this.getBodyAxes(pose, leg.hip);
+        const thigh = this.normalize(this.subtract(pose[leg.knee], pose[leg.hip]));
+        const lateral = Math.min(1, Math.max(-1, this.dot(thigh, axes.lateral)));
+        return {
+            flexion: Math.atan2(this.dot(thigh, axes.forward), this.dot(thigh, axes.down)) * (180 / Math.PI),
+            abduction: Math.asin(lateral) * (180 / Math.PI)
+        };
+    }
+
+    // 体幹 (腰中点→肩中点) の鉛直からの傾き (0 = 直立)
+    getTorsoLean(pose) {
+        const trunk = this.subtract(this.getMidPoint(pose[11], pose[12]), this.getMidPoint(pose[23], pose[24]));
+        return this.getVectorAngle(trunk, { x: 0, y: -1, z: 0 });
+    }
+
+    // 足 (かかと→つま先) の水平面での向き (deg)
+    getFootYaw(pose, leg) {
+        const foot = this.subtract(pose[leg.toe], pose[leg.heel]);
+        return Math.atan2(foot.z, foot.x) * (180 / Math.PI);
+    }
+
+    // 腰の高さを 0、肩の高さを 1 とした高さ (腰より下は負)
+    getRelativeHeight(pose, id) {
+        const hipY = (pose[23].y + pose[24].y) / 2;
+        const shoulderY = (pose[11].y + pose[12].y) / 2;
+        const torso = hipY - shoulderY;
+        return torso > 0 ? (hipY - pose[id].y) / torso : 0;
+    }
+
+    /**
+     * 体幹を基準にした座標軸 (単位ベクトル)
+     * down: 肩中点→腰中点、lateral: 腰の中点→蹴り足側の腰、forward: 肩中点→鼻 (down・lateral と直交化)
+     */
+    getBodyAxes(pose, hipId) {
+        const hipMid = this.getMidPoint(pose[23], pose[24]);
+        const shoulderMid = this.getMidPoint(pose[11], pose[12]);
+        const down = this.normalize(this.subtract(hipMid, shoulderMid));
+        const lateral = this.normalize(this.orthogonalize(this.subtract(pose[hipId], hipMid), [down]));
+        const forward = this.normalize(this.orthogonalize(this.subtract(pose[0], shoulderMid), [down, lateral]));
+        return { down: down, lateral: lateral, forward: forward };
+    }
+
+    // --- Helpers ---
+    // p1-p2-p3 の p2 での角度 (deg)
+    getAngle(p1, p2, p3) {
+        return this.getVectorAngle(this.subtract(p1, p2), this.subtract(p3, p2));
+    }
+
+    getVectorAngle(v1, v2) {
+        const len = Math.sqrt(this.dot(v1, v1) * this.dot(v2, v2));
+        if (len === 0) return 0;
+        const cos = Math.min(1, Math.max(-1, this.dot(v1, v2) / len));
+        return Math.acos(cos) * (180 / Math.PI);
+    }
+
+    // -180〜180 に収める
+    wrapAngle(deg) {
+        return ((deg + 540) % 360) - 180;
+    }
+
+    // axes (単位ベクトル) の成分を取り除く
+    orthogonalize(v, axes) {
+        return axes.reduce((rest, axis) => {
+            const d = this.dot(rest, axis);
+            return { x: rest.x - axis.x * d, y: rest.y - axis.y * d, z: rest.z - axis.z * d };
+        }, v);
+    }
+
+    normalize(v) {
+        const len = Math.sqrt(this.dot(v, v));
+        return len > 0 ? { x: v.x / len, y: v.y / len, z: v.z / len } : { x: 0, y: 0, z: 0 };
+    }
+
+    subtract(p1, p2) {
+        return { x: p1.x - p2.x, y: p1.y - p2.y, z: p1.z - p2.z };
+    }
+
+    dot(v1, v2) {
+        return v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
+    }
+
+    getMidPoint(p1, p2) {
+        return {
+            x: (p1.x + p2.x) / 2,
+            y: (p1.y + p2.y) / 2,
+            z: (p1.z + p2.z) / 2
+        };
+    }
+
+    round(value, digits) {
+        return parseFloat(value.toFixed(digits));
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.BiomechanicsAnalyzer = BiomechanicsAnalyzer;
+} else if (typeof module !== 'undefined') {
+    module.exports = BiomechanicsAnalyzer;
+}
@@ -0,0 +1,192 @@
+/**
+ * comparison.js
+ * Fingerprint Comparison Engine
+ *
+ * 役割:
+ * 1. 2つの fingerprint (V3.2, 100フレーム x 24要素) を DTW で時間整列
+ * 2. 特徴グループ別 (手足の軌跡・腰の回旋・肩の捻転・重心・ガード) の一致度を算出
+ * 3. 総合スコア (0-100) を返す
+ *
+ * 旧バージョンのJSONは schema.js で現行バージョンに移行してから比較する。
+ * 移行で値が無くなったチャンネル (missing_channels。V3.1 以前の hip_rotation など) のグループは比較から除く。
+ */
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const ComparisonFingerprintSchema = (typeof FingerprintSchema !== 'undefined')
+    ? FingerprintSchema
+    : require('./schema.js');
+
+class FingerprintComparator {
+    constructor(options = {}) {
+        // DTW の整列窓 (Sakoe-Chiba band)。フレーム数に対する割合
+        this.windowRatio = options.windowRatio !== undefined ? options.windowRatio : 0.2;
+
+        // 特徴グループ定義 (チャンネルの group 名で特徴量インデックスを引く)
+        // scale: この距離でスコアが約37点 (exp(-1)) になる基準値
+        // weight: 総合スコアへの寄与
+        // angular: -180~180 に折り返して差をとる角度 (hip_rotation は1回転以上も区別するため折り返さない)
+        const groupSettings = options.groups || [
+            { key: 'hand_trajectory', label: '手の軌跡', scale: 0.5, weight: 1.0 },
+            { key: 'foot_trajectory', label: '足の軌跡', scale: 0.5, weight: 1.0 },
+            { key: 'knee_trajectory', label: '膝の軌跡', scale: 0.4, weight: 0.5 },
+            { key: 'hip_rotation', label: '腰の回旋', scale: 30, weight: 0.7, angular: false },
+            { key: 'shoulder_twist', label: '肩の捻転', scale: 30, weight: 0.7, angular: true },
+            { key: 'cog_deviation', label: '重心偏差', scale: 0.15, weight: 0.7 },
+            { key: 'guard_distance', label: 'ガード距離', scale: 0.4, weight: 0.5 }
+        ];
+        const channels = ComparisonFingerprintSchema.FEATURE_CHANNELS;
+        this.groups = groupSettings.map(g => ({
+            ...g,
+            indices: channels.map((ch, i) => (ch.group === g.key ? i : -1)).filter(i => i >= 0),
+            channelNames: channels.filter(ch => ch.group === g.key).map(ch => ch.name)
+        }));
+    }
+
+    /**
+     * 手本と試技を比較する
+     * @param {Object|Array} reference - 手本の出力JSON、または fingerprint 配列
+     * @param {Object|Array} attempt - 試技の出力JSON、または fingerprint 配列
+     * @returns {Object} { score, distance, groups: { key: {label, score, distance} }, skipped_groups: [{key, label}], path }
+     */
+    compare(reference, attempt) {
+        const dataA = this.getFingerprintData(reference);
+        const dataB = this.getFingerprintData(attempt);
+        const seqA = dataA.fingerprint;
+        const seqB = dataB.fingerprint;
+        if (seqA.length === 0 || seqB.length === 0) {
+            throw new Error('fingerprint が空です');
+        }
+
+        // どちらかに値の無いチャンネルを含むグループは比較しない
+        const missing = new Set([...dataA.missingChannels, ...dataB.missingChannels]);
+        const activeGroups = this.groups.filter(g => !g.channelNames.some(name => missing.has(name)));
+        const skippedGroups = this.groups.filter(g => !activeGroups.includes(g));
+
+        // 1. フレーム間距離 (グループごとに正規化して重み付け加算)
+        const totalWeight = activeGroups.reduce((sum, g) => sum + g.weight, 0);
+        const frameDistance = (a, b) => {
+            let d = 0;
+            activeGroups.forEach(g => {
+                d += g.weight * (this.groupDistance(a, b, g) / g.scale);
+            });
+            return d / totalWeight;
+        };
+
+        // 2. DTW で最適な時間整列を求める
+        const { distance, path } = this.dtw(seqA, seqB, frameDistance);
+
+        // 3. 整列パス上でグループ別の平均距離 → スコア化
+        const groups = {};
+        let weightedScore = 0;
+        activeGroups.forEach(g => {
+            let sum = 0;
+            path.forEach(([i, j]) => { sum += this.groupDistance(seqA[i], seqB[j], g); });
+            const meanDist = sum / path.length;
+            const score = this.toScore(meanDist / g.scale);
+            groups[g.key] = {
+                label: g.label,
+                score: score,
+                distance: parseFloat(meanDist.toFixed(4))
+            };
+            weightedScore += score * g.weight;
+        });
+
+        return {
+            score: Math.round(weightedScore / totalWeight),
+            distance: parseFloat((distance / path.length).toFixed(4)), // 整列後の平均フレーム間距離
+            groups: groups,
+            skipped_groups: skippedGroups.map(g => ({ key: g.key, label: g.label })),
+            path: path
+        };
+    }
+
+    /**
+     * Dynamic Time Warping
+     * @param {Array} seqA
+     * @param {Array} seqB
+     * @param {Function} distFn - (a, b) => Number
+     * @returns {Object} { distance: 累積距離, path: [[i, j], ...] }
+     */
+    dtw(seqA, seqB, distFn) {
+        const n = seqA.length;
+        const m = seqB.length;
+        // 長さの差より窓が狭いと終点に到達できないため、差分は必ず許容する
+        const window = Math.max(Math.ceil(Math.max(n, m) * this.windowRatio), Math.abs(n - m));
+
+        const cost = [];
+        for (let i = 0; i < n; i++) cost.push(new Float64Array(m).fill(Infinity));
+
+        for (let i = 0; i < n; i++) {
+            const jStart = Math.max(0, i - window);
+            const jEnd = Math.min(m - 1, i + window);
+            for (let j = jStart; j <= jEnd; j++) {
+                const d = distFn(seqA[i], seqB[j]);
+                if (i === 0 && j === 0) {
+                    cost[i][j] = d;
+                    continue;
+                }
+                const prev = Math.min(
+                    i > 0 ? cost[i - 1][j] : Infinity,
+                    j > 0 ? cost[i][j - 1] : Infinity,
+                    i > 0 && j > 0 ? cost[i - 1][j - 1] : Infinity
+                );
+                cost[i][j] = d + prev;
+            }
+        }
+
+        // 終点から逆順にたどって整列パスを復元
+        const path = [];
+        let i = n - 1, j = m - 1;
+        path.push([i, j]);
+        while (i > 0 || j > 0) {
+            if (i === 0) { j--; }
+            else if (j === 0) { i--; }
+            else {
+                const diag = cost[i - 1][j - 1];
+                const up = cost[i - 1][j];
+                const left = cost[i][j - 1];
+                if (diag <= up && diag <= left) { i--; j--; }
+                else if (up <= left) { i--; }
+                else { j--; }
+            }
+            path.push([i, j]);
+        }
+        path.reverse();
+
+        return { distance: cost[n - 1][m - 1], path: path };
+    }
+
+    // --- Helpers ---
+    // 出力JSONは検証・移行してから fingerprint と値の無いチャンネルを取り出す
+    // (配列は現行バージョンの fingerprint としてそのまま使う)
+    getFingerprintData(data) {
+        if (Array.isArray(data)) return { fingerprint: data, missingChannels: [] };
+        const loaded = ComparisonFingerprintSchema.load(data);
+        return { fingerprint: loaded.fingerprint, missingChannels: loaded.missing_channels || [] };
+    }
+
+    // グループ内のユークリッド距離 (角度は -180~180 に折り返して差をとる)
+    groupDistance(a, b, group) {
+        let sum = 0;
+        group.indices.forEach(idx => {
+            let diff = a[idx] - b[idx];
+            if (group.angular) {
+                diff = ((diff + 180) % 360 + 360) % 360 - 180;
+            }
+            sum += diff * diff;
+        });
+        return Math.sqrt(sum);
+    }
+
+    // 正規化距離 → 0-100 点
+    toScore(normalizedDistance) {
+        return Math.round(100 * Math.exp(-normalizedDistance));
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.FingerprintComparator = FingerprintComparator;
+} else if (typeof module !== 'undefined') {
+    module.exports = FingerprintComparator;
+}
@@ -0,0 +1,111 @@
+/**
+ * hands-free.js
+ * Hands-free Trigger (構えで録画開始・構えに戻ったら停止)
+ *
+ * 役割:
+ * 1. 構え (両手のガードが上がり、足を前後に開いている) の判定
+ * 2. 構えたまま一定時間静止したら開始の合図
+ * 3. 録画中、手足が構え位置から大きく動いた後、構えに戻って静止したら停止の合図
+ *
+ * 三脚にスマホを置いて一人で撮るとき、録画・停止ボタンまで歩かずに済むようにする。
+ * 判定はワールド座標 (m, 腰中点原点, y下向き) で行う。
+ */
+
+class HandsFreeTrigger {
+    constructor(options = {}) {
+        this.holdSec = options.holdSec !== undefined ? options.holdSec : 1.0; // 構えてこの秒数静止したら開始
+        this.settleSec = options.settleSec !== undefined ? options.settleSec : 0.8; // 動いた後、構えに戻ってこの秒数静止したら停止
+        this.stillTolerance = options.stillTolerance !== undefined ? options.stillTolerance : 0.08; // 静止とみなす手足のぶれ幅 (m)
+        this.motionDistance = options.motionDistance !== undefined ? options.motionDistance : 0.3; // 構え位置から手足がこれ以上離れたら「動いた」(m)
+        this.guardMargin = options.guardMargin !== undefined ? options.guardMargin : 0.15; // 手首が肩よりこれ以上下がったらガードしていない (m)
+        this.minStanceWidth = options.minStanceWidth !== undefined ? options.minStanceWidth : 0.15; // 両足首の間隔がこれ未満なら構えていない (m)
+
+        this.watchLandmarks = [15, 16, 19, 20, 27, 28, 31, 32]; // 静止判定: 手首・手・足首・足先
+        this.strikeLandmarks = [19, 20, 31, 32];                // 動作判定: 手・足先
+        this.reset();
+    }
+
+    /**
+     * 判定の状態を初期化する (待機開始時・録画開始時に呼ぶ)
+     */
+    reset() {
+        this.window = [];       // 構えて静止しているか調べる直近のフレーム
+        this.reference = null;  // 録画開始時の構え
+        this.hasMoved = false;
+    }
+
+    /**
+     * 待機中: 構えて holdSec 静止したら true
+     * @param {Object} frame - {time(ms), pose(ワールド座標)}
+     * @returns {Boolean}
+     */
+    watchForStance(frame) {
+        return this.isHeldStill(frame, this.holdSec);
+    }
+
+    /**
+     * 録画中: 構えから動いた後、構えに戻って settleSec 静止したら true
+     * @param {Object} frame - {time(ms), pose(ワールド座標)}
+     * @returns {Boolean}
+     */
+    watchForFinish(frame) {
+        if (!this.reference) this.reference = frame.pose;
+        if (!this.hasMoved) {
+            this.hasMoved = this.strikeLandmarks.some(i =>
+                this.getDistance(frame.pose[i], this.reference[i]) > this.motionDistance
+            );
+            if (!this.hasMoved) return false;
+            this.window = [];
+        }
+        return this.isHeldStill(frame, this.settleSec);
+    }
+
+    /**
+     * 構えているか (両手首が肩の近くまで上がっていて、足を開いている)
+     * @param {Array} pose - ワールド座標
+     * @returns {Boolean}
+     */
+    isInStance(pose) {
+        const guardUp = pose[15].y - pose[11].y < this.guardMargin &&
+                        pose[16].y - pose[12].y < this.guardMargin;
+        const stanceWidth = Math.sqrt(
+            Math.pow(pose[27].x - pose[28].x, 2) +
+            Math.pow(pose[27].z - pose[28].z, 2)
+        );
+        return guardUp && stanceWidth >= this.minStanceWidth;
+    }
+
+    // 構えたまま、直近 sec 秒の手足のぶれ幅が stillTolerance 以内なら true
+    isHeldStill(frame, sec) {
+        if (!frame.pose || frame.pose.length < 33 || !this.isInStance(frame.pose)) {
+            this.window = [];
+            return false;
+        }
+        this.window.push(frame);
+        while (this.window.length > 1 && frame.time - this.window[1].time >= sec * 1000) {
+            this.window.shift();
+        }
+        if (frame.time - this.window[0].time < sec * 1000) return false;
+
+        return this.watchLandmarks.every(i => {
+            const first = this.window[0].pose[i];
+            return this.window.every(f => this.getDistance(f.pose[i], first) <= this.stillTolerance);
+        });
+    }
+
+    // --- Helpers ---
+    getDistance(p1, p2) {
+        return Math.sqrt(
+            Math.pow(p1.x - p2.x, 2) +
+            Math.pow(p1.y - p2.y, 2) +
+            Math.pow(p1.z - p2.z, 2)
+        );
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.HandsFreeTrigger = HandsFreeTrigger;
+} else if (typeof module !== 'undefined') {
+    module.exports = HandsFreeTrigger;
+}
@@ -0,0 +1,184 @@
+/**
+ * kinetic-chain.js
+ * Kinetic Chain (骨盤 → 体幹 → 手足 の運動連鎖)
+ *
+ * 役割:
+ * 1. 骨盤 (両腰のライン)・体幹 (両肩のライン) の水平面での回転角速度、打撃する手足の速度をフレームごとに計算
+ * 2. 打撃の出だしから頂点までで、それぞれの速度がピークになる時刻とその間隔 (ラグ)
+ * 3. 骨盤がほとんど回っていない「手打ち・足だけの蹴り」や、ピークの順番が逆になっている打撃の指摘
+ *
+ * 強い打撃は、骨盤 → 体幹 → 手足 の順に速度のピークが来る。
+ * 入力はワールド座標 (m, 腰中点原点, y下向き)。角度は正規化前の絶対的な向きで測る。
+ */
+
+// 打撃する手足のランドマーク (metrics.active_part → ID)
+const KINETIC_CHAIN_EXTREMITIES = {
+    left_hand: 19,
+    right_hand: 20,
+    left_foot: 31,
+    right_foot: 32
+};
+
+class KineticChainAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {Number} options.minPelvisRotationDeg - 出だし〜頂点で骨盤がこれ未満しか回らなければ手打ち (既定: 15)
+     * @param {Number} options.toleranceSec - ピークの前後をこの時間差まで同時とみなす (既定: 0.02)
+     */
+    constructor(options = {}) {
+        this.minPelvisRotationDeg = options.minPelvisRotationDeg !== undefined ? options.minPelvisRotationDeg : 15;
+        this.toleranceSec = options.toleranceSec !== undefined ? options.toleranceSec : 0.02;
+    }
+
+    /**
+     * 打撃の出だし〜頂点で、骨盤・体幹・手足の速度のピークを調べる
+     * @param {Array} history - [{time(ms), pose(ワールド座標)}]
+     * @param {Object} options
+     * @param {String} options.part - 打撃した手足 (left_hand | right_hand | left_foot | right_foot)
+     * @param {Number} options.start - 打撃の出だし (history のインデックス, 既定: 0)
+     * @param {Number} options.apex - 打撃の頂点 (history のインデックス)
+     * @returns {Object|null} { pelvis, torso, extremity, lags, sequence, in_sequence, issues: [{code, message}] }
+     */
+    analyze(history, options = {}) {
+        const extremityId = KINETIC_CHAIN_EXTREMITIES[options.part];
+        const start = Math.max(0, options.start || 0);
+        const apex = Math.min(history.length - 1, options.apex !== undefined ? options.apex : history.length - 1);
+        if (extremityId === undefined || apex - start < 2) return null;
+
+        const times = history.map(frame => frame.time / 1000);
+        const pelvisYaw = this.unwrap(history.map(frame => this.getLineYaw(frame.pose[23], frame.pose[24])));
+        const torsoYaw = this.unwrap(history.map(frame => this.getLineYaw(frame.pose[11], frame.pose[12])));
+
+        const segments = {
+            pelvis: this.findPeak(this.getVelocitySeries(this.smooth(pelvisYaw), times), times, start, apex),
+            torso: this.findPeak(this.getVelocitySeries(this.smooth(torsoYaw), times), times, start, apex),
+            extremity: this.findPeak(this.getSpeedSeries(history, extremityId, times), times, start, apex)
+        };
+        const pelvisRotation = this.getRange(pelvisYaw.slice(start, apex + 1));
+        const torsoRotation = this.getRange(torsoYaw.slice(start, apex + 1));
+
+        // ピークの早い順 (同時刻なら本来の順番を優先)
+        const expected = ['pelvis', 'torso', 'extremity'];
+        const sequence = [...expected].sort((a, b) => segments[a].time - segments[b].time || expected.indexOf(a) - expected.indexOf(b));
+        const lags = {
+            pelvis_to_torso_sec: this.round(segments.torso.time - segments.pelvis.time, 3),
+            torso_to_extremity_sec: this.round(segments.extremity.time - segments.torso.time, 3)
+        };
+        const inSequence = lags.pelvis_to_torso_sec >= -this.toleranceSec && lags.torso_to_extremity_sec >= -this.toleranceSec;
+
+        const issues = [];
+        const isKick = options.part.endsWith('_foot');
+        if (pelvisRotation < this.minPelvisRotationDeg) {
+            issues.push({
+                code: isKick ? 'leg_only' : 'arm_only',
+                message: isKick ? '腰がほとんど回っていません (足だけの蹴り)' : '腰がほとんど回っていません (手打ち)'
+            });
+        } else if (!inSequence) {
+            issues.push({
+                code: 'out_of_sequence',
+                message: `速度のピークが 腰→肩→${isKick ? '足' : '手'} の順になっていません`
+            });
+        }
+
+        const origin = times[start];
+        return {
+            pelvis: {
+                peak_sec: this.round(segments.pelvis.time - origin, 3),
+                peak_velocity: this.round(segments.pelvis.value, 1), // deg/s
+                rotation_deg: this.round(pelvisRotation, 1)
+            },
+            torso: {
+                peak_sec: this.round(segments.torso.time - origin, 3),
+                peak_velocity: this.round(segments.torso.value, 1),  // deg/s
+                rotation_deg: this.round(torsoRotation, 1)
+            },
+            extremity: {
+                part: options.part,
+                peak_sec: this.round(segments.extremity.time - origin, 3),
+                peak_speed: this.round(segments.extremity.value, 2)  // m/s
+            },
+            lags: lags,
+            sequence: sequence.map(name => (name === 'extremity' ? options.part : name)),
+            in_sequence: inSequence,
+            issues: issues
+        };
+    }
+
+    // 左右を結ぶ線の水平面での向き (deg。normalizePose の angleY と同じ測り方)
+    getLineYaw(left, right) {
+        return Math.atan2(left.z - right.z, left.x - right.x) * (180 / Math.PI);
+    }
+
+    // start〜end で絶対値が最大になるフレームの時刻と値
+    findPeak(values, times, start, end) {
+        let peak = start;
+        for (let i = start + 1; i <= end; i++) {
+            if (Math.abs(values[i]) > Math.abs(values[peak])) peak = i;
+        }
+        return { time: times[peak], value: Math.abs(values[peak]) };
+    }
+
+    // 角度の角速度 (deg/s)。前後のフレームの差分 (時間が進んでいなければ 0)
+    getVelocitySeries(angles, times) {
+        return angles.map((_, i) => {
+            const a = Math.max(0, i - 1);
+            const b = Math.min(angles.length - 1, i + 1);
+            const dt = times[b] - times[a];
+            return dt > 0 ? (angles[b] - angles[a]) / dt : 0;
+        });
+    }
+
+    // 手足の速さ (m/s)。前後のフレームの差分
+    getSpeedSeries(history, id, times) {
+        return history.map((_, i) => {
+            const a = Math.max(0, i - 1);
+            const b = Math.min(history.length - 1, i + 1);
+            const dt = times[b] - times[a];
+            if (dt <= 0) return 0;
+            const p1 = history[a].pose[id];
+            const p2 = history[b].pose[id];
+            return Math.sqrt(
+                Math.pow(p2.x - p1.x, 2) +
+                Math.pow(p2.y - p1.y, 2) +
+                Math.pow(p2.z - p1.z, 2)
+            ) / dt;
+        });
+    }
+
+    // --- Helpers ---
+    // ±180° をまたぐときの飛びをなくす
+    unwrap(angles) {
+        const result = [];
+        angles.forEach((angle, i) => {
+            if (i === 0) { result.push(angle); return; }
+            let diff = angle - angles[i - 1];
+            diff = ((diff + 540) % 360) - 180;
+            result.push(result[i - 1] + diff);
+        });
+        return result;
+    }
+
+    // 3フレーム移動平均
+    smooth(values) {
+        return values.map((v, i) => {
+            const a = values[Math.max(0, i - 1)];
+            const c = values[Math.min(values.length - 1, i + 1)];
+            return (a + v + c) / 3;
+        });
+    }
+
+    getRange(values) {
+        return values.length > 0 ? Math.max(...values) - Math.min(...values) : 0;
+    }
+
+    round(value, digits) {
+        return parseFloat(value.toFixed(digits));
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.KineticChainAnalyzer = KineticChainAnalyzer;
+} else if (typeof module !== 'undefined') {
+    module.exports = KineticChainAnalyzer;
+}
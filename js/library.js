@@ -0,0 +1,196 @@
+/**
+ * library.js
+ * 端末内テイクライブラリ (IndexedDB)
+ *
+ * 役割:
+ * 1. 録画したテイク(生のワールド座標・画面座標)の永続化
+ * 2. メタデータ(技名・実演者・構え・身長)の保存と更新
+ * 3. 一覧・名前変更・削除
+ * 4. 生データのJSON書き出し (tools/build-fingerprints.js の入力形式)
+ * 5. 録画した映像 (Blob) の保存
+ *
+ * 一覧表示を軽くするため、メタデータ(takes)・フレーム本体(frames)・映像(videos)は別ストアに保存する。
+ */
+
+class TakeLibrary {
+    constructor(dbName = 'kick-recorder') {
+        this.dbName = dbName;
+        this.dbVersion = 2; // 2: videos ストアを追加
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('takes')) {
+                        db.createObjectStore('takes', { keyPath: 'id', autoIncrement: true });
+                    }
+                    if (!db.objectStoreNames.contains('frames')) {
+                        db.createObjectStore('frames');
+                    }
+                    if (!db.objectStoreNames.contains('videos')) {
+                        db.createObjectStore('videos');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 新しいテイクを保存する
+     * @param {Array} frames - poseHistory ({time, pose, screenPose} の配列)
+     * @param {Object} meta - name, performer, stance, heightCm, source など
+     * @returns {Promise<Number>} 採番されたテイクID
+     */
+    async saveTake(frames, meta = {}) {
+        const db = await this.open();
+        const now = new Date().toISOString();
+        const record = {
+            name: '',
+            performer: '',
+            stance: 'orthodox',
+            heightCm: 170,
+            source: 'camera',
+            ...meta,
+            frameCount: frames.length,
+            durationSec: frames.length > 1 ? (frames[frames.length - 1].time - frames[0].time) / 1000 : 0,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const tx = db.transaction(['takes', 'frames'], 'readwrite');
+        let id;
+        tx.objectStore('takes').add(record).onsuccess = (e) => {
+            id = e.target.result;
+            tx.objectStore('frames').put(frames, id);
+        };
+        await this.waitForTransaction(tx);
+        return id;
+    }
+
+    /**
+     * テイク一覧 (メタデータのみ、新しい順)
+     * @returns {Promise<Array>}
+     */
+    async listTakes() {
+        const db = await this.open();
+        const tx = db.transaction('takes', 'readonly');
+        const takes = await this.waitForRequest(tx.objectStore('takes').getAll());
+        return takes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async getTake(id) {
+        const db = await this.open();
+        const tx = db.transaction('takes', 'readonly');
+        return this.waitForRequest(tx.objectStore('takes').get(id));
+    }
+
+    async getFrames(id) {
+        const db = await this.open();
+        const tx = db.transaction('frames', 'readonly');
+        return this.waitForRequest(tx.objectStore('frames').get(id));
+    }
+
+    /**
+     * メタデータを部分更新する
+     * @param {Number} id
+     * @param {Object} patch - 上書きするフィールド
+     */
+    async updateTake(id, patch) {
+        const db = await this.open();
+        const tx = db.transaction('takes', 'readwrite');
+        const store = tx.objectStore('takes');
+        store.get(id).onsuccess = (e) => {
+            const record = e.target.result;
+            if (!record) return;
+            store.put({ ...record, ...patch, id, updatedAt: new Date().toISOString() });
+        };
+        await this.waitForTransaction(tx);
+    }
+
+    async deleteTake(id) {
+        const db = await this.open();
+        const tx = db.transaction(['takes', 'frames', 'videos'], 'readwrite');
+        tx.objectStore('takes').delete(id);
+        tx.objectStore('frames').delete(id);
+        tx.objectStore('videos').delete(id);
+        await this.waitForTransaction(tx);
+    }
+
+    /**
+     * テイクの映像を保存する (メタデータに hasVideo を付ける)
+     * @param {Number} id
+     * @param {Object} video - { blob, mimeType, startTime(ms, フレームの time と同じ基準) }
+     */
+    async saveVideo(id, video) {
+        const db = await this.open();
+        const tx = db.transaction(['takes', 'videos'], 'readwrite');
+        tx.objectStore('videos').put(video, id);
+        const store = tx.objectStore('takes');
+        store.get(id).onsuccess = (e) => {
+            const record = e.target.result;
+            if (record) store.put({ ...record, hasVideo: true });
+        };
+        await this.waitForTransaction(tx);
+    }
+
+    /**
+     * @param {Number} id
+     * @returns {Promise<Object|undefined>} { blob, mimeType, startTime }
+     */
+    async getVideo(id) {
+        const db = await this.open();
+        const tx = db.transaction('videos', 'readonly');
+        return this.waitForRequest(tx.objectStore('videos').get(id));
+    }
+
+    /**
+     * テイクを生データJSONとして書き出す (CLI でそのまま読み込める形式)
+     * @param {Number} id
+     * @returns {Promise<Object|null>} { format, version, name, performer, stance, heightCm, ..., frames }
+     */
+    async exportTake(id) {
+        const [take, frames] = await Promise.all([this.getTake(id), this.getFrames(id)]);
+        if (!take || !frames) return null;
+        return {
+            format: 'kick-recorder-take',
+            version: 1,
+            name: take.name,
+            performer: take.performer,
+            stance: take.stance,
+            heightCm: take.heightCm,
+            source: take.source,
+            createdAt: take.createdAt,
+            frames: frames
+        };
+    }
+
+    // --- Helpers ---
+    waitForRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    waitForTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.TakeLibrary = TakeLibrary;
+} else if (typeof module !== 'undefined') {
+    module.exports = TakeLibrary;
+}
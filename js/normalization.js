@@ -6,34 +6,87 @@
  * 1. ノイズ除去 (One Euro Filter)
  * 2. 重心推定 (Segmental Mass Distribution)
  * 3. 座標正規化 (Translation, Scaling, Rotation)
- * 4. 特徴量抽出 (Feature Extraction V3.1)
+ * 4. 特徴量抽出 (Feature Extraction V3.2)
  */
 
 class NormalizationEngine {
-    constructor() {
+    /**
+     * @param {Object} options - One Euro Filter の設定 (すべて省略可)
+     * @param {String} options.profile - FILTER_PROFILES のキー (既定: 'adaptive')
+     * @param {Object} options.torso - 体幹・頭部の {minCutoff, beta, dCutoff} (profile を上書き)
+     * @param {Object} options.extremity - 手足(肘・膝から先)の {minCutoff, beta, dCutoff} (profile を上書き)
+     * @param {Object} options.landmarks - ランドマーク番号ごとの個別上書き 例: { 32: { beta: 1.0 } }
+     * @param {Number} options.freq - 初期サンプリング周波数 (Hz)。以降はタイムスタンプから更新
+     */
+    constructor(options = {}) {
+        const profileName = options.profile !== undefined ? options.profile : 'adaptive';
+        const profile = NormalizationEngine.FILTER_PROFILES[profileName];
+        if (!profile) throw new Error(`未対応のフィルタ設定です: ${options.profile}`);
+        this.filterProfile = profileName;
+
         // One Euro Filter の設定
-        this.minCutoff = 1.0; // 低速時のカットオフ周波数 (ブレ除去強度)
-        this.beta = 0.0;      // 高速時の追従性係数 (高いほど追従)
-        this.dCutoff = 1.0;   // 派生カットオフ
+        // minCutoff: 低速時のカットオフ周波数 (ブレ除去強度)
+        // beta:      高速時の追従性係数 (高いほど追従。0だと固定ローパス)
+        // dCutoff:   派生カットオフ
+        this.filterSettings = {
+            torso: { ...profile.torso, ...(options.torso || {}) },
+            extremity: { ...profile.extremity, ...(options.extremity || {}) },
+            landmarks: options.landmarks || {},
+            freq: options.freq || 30
+        };
+        this.reset();
+    }
+
+    /**
+     * フィルタの状態を初期化する (テイクごとに呼ぶ)
+     */
+    reset() {
+        // 骨盤の回旋の基準 (テイク最初のフレームの腰の向き) と、±180°をまたぐときの補正用の直前の向き
+        this.initialHipYaw = null;
+        this.lastHipYaw = null;
 
         // フィルタの状態保持用 (各ランドマーク33点 x 3次元)
         this.filters = [];
         for (let i = 0; i < 33; i++) {
+            const p = this.getLandmarkFilterParams(i);
+            const freq = this.filterSettings.freq;
             this.filters.push({
-                x: new OneEuroFilter(30, this.minCutoff, this.beta, this.dCutoff),
-                y: new OneEuroFilter(30, this.minCutoff, this.beta, this.dCutoff),
-                z: new OneEuroFilter(30, this.minCutoff, this.beta, this.dCutoff)
+                x: new OneEuroFilter(freq, p.minCutoff, p.beta, p.dCutoff),
+                y: new OneEuroFilter(freq, p.minCutoff, p.beta, p.dCutoff),
+                z: new OneEuroFilter(freq, p.minCutoff, p.beta, p.dCutoff)
             });
         }
     }
 
+    // ランドマークごとのフィルタ設定 (手足 or 体幹 + 個別上書き)
+    getLandmarkFilterParams(index) {
+        const isExtremity = NormalizationEngine.EXTREMITY_LANDMARKS.includes(index);
+        const base = isExtremity ? this.filterSettings.extremity : this.filterSettings.torso;
+        return { ...base, ...(this.filterSettings.landmarks[index] || {}) };
+    }
+
     /**
      * メイン処理: 生のPoseデータを受け取り、正規化された特徴量ベクトルを返す
      * @param {Array} landmarks - MediaPipe poseWorldLandmarks
      * @param {Number} timestamp - 動画の現在時刻(秒)
-     * @returns {Array|null} featureVector - V3.1形式の24要素配列
+     * @returns {Array|null} featureVector - V3.2形式の24要素配列
      */
     process(landmarks, timestamp) {
+        const normalizedData = this.processPose(landmarks, timestamp);
+        if (!normalizedData) return null;
+
+        // 5. 特徴量抽出 (V3.2)
+        return this.extractFeaturesV3(normalizedData.pose, normalizedData.cog, normalizedData.hipRotation);
+    }
+
+    /**
+     * 特徴量を抽出する直前までの処理: 正規化した姿勢を返す (3Dプレビューで正規化の結果を確かめる用)
+     * process と同じくフィルタの状態が進むので、テイクの先頭から順に呼ぶ
+     * @param {Array} landmarks - MediaPipe poseWorldLandmarks
+     * @param {Number} timestamp - 動画の現在時刻(秒)
+     * @returns {Object|null} { pose, cog, hipYaw, hipRotation } (pose・cog は腰中点原点・脊柱長 = 1)
+     */
+    processPose(landmarks, timestamp) {
         if (!landmarks || landmarks.length < 33) return null;
 
         // 1. ノイズ除去 (平滑化)
@@ -45,8 +98,8 @@ class NormalizationEngine {
         // 3. 座標正規化 (原点・スケール・回転)
         const normalizedData = this.normalizePose(smoothedPose, cog);
 
-        // 4. 特徴量抽出 (V3.1)
-        return this.extractFeaturesV3(normalizedData.pose, normalizedData.cog);
+        // 4. 骨盤の回旋 (正規化で捨てる腰の向きを、テイク開始時の構えからの角度として残す)
+        return { ...normalizedData, hipRotation: this.trackHipRotation(normalizedData.hipYaw) };
     }
 
     // =========================================================
@@ -188,13 +241,30 @@ class NormalizationEngine {
             z: normCog.z / spineLength
         };
 
-        return { pose: scaledPose, cog: normCog };
+        return { pose: scaledPose, cog: normCog, hipYaw: angleY * (180 / Math.PI) };
+    }
+
+    /**
+     * テイク開始時からの骨盤の回旋角 (deg)。±180° をまたいでも連続した値にする
+     * @param {Number} hipYaw - normalizePose の腰の向き (deg, -180〜180)
+     * @returns {Number}
+     */
+    trackHipRotation(hipYaw) {
+        if (this.lastHipYaw === null) {
+            this.initialHipYaw = hipYaw;
+            this.lastHipYaw = hipYaw;
+            return 0;
+        }
+        const diff = ((hipYaw - this.lastHipYaw) % 360 + 540) % 360 - 180;
+        this.lastHipYaw += diff;
+        return this.lastHipYaw - this.initialHipYaw;
     }
 
     // =========================================================
-    // 4. 特徴量抽出 (V3.1 Implementation)
+    // 4. 特徴量抽出 (V3.2 Implementation)
+    // 各要素の意味は NormalizationEngine.FEATURE_CHANNELS を参照
     // =========================================================
-    extractFeaturesV3(pose, cog) {
+    extractFeaturesV3(pose, cog, hipRotation = 0) {
         // 配列配列ではなく、フラットな数値配列(24要素)を返す
         const features = [];
 
@@ -214,21 +284,17 @@ class NormalizationEngine {
 
         // --- B. 体幹・回旋 (Body Mechanics) [2要素] ---
         // 7. 骨盤の回旋角 (Hip Rotation)
-        // 両腰ベクトル(24->23)とX軸との角度...だが、正規化でX軸に合わせてあるため、
-        // ここでは「捻転」を見るために、脊柱を軸とした回転を見る必要があるが、
-        // 簡易的に「正規化後の肩のねじれ」を見る。
-        // 正規化ステップで腰はX軸平行(0度)になっているため、肩の角度がそのまま「捻転差(X-Factor)」になる。
+        // 正規化で腰はX軸平行(0度)になっているため、正規化前の腰の向きを
+        // テイク開始時の構えからの角度として受け取る (trackHipRotation)。
+        // 8. 肩の捻転差 (X-Factor)
+        // 正規化ステップで腰はX軸平行(0度)になっているため、肩の角度がそのまま「捻転差」になる。
         const shoulderVec = {
             x: pose[11].x - pose[12].x,
             z: pose[11].z - pose[12].z
         };
         const shoulderAngle = Math.atan2(shoulderVec.z, shoulderVec.x) * (180 / Math.PI);
 
-        // 骨盤は正規化で0度だが、動作中の「絶対的な回転」を知りたい場合は、
-        // 正規化前の angleY を保存しておく必要がある。
-        // しかしV3仕様では「脊柱軸に対する回転」なので、相対角度で良い。
-        // ここでは「肩の回旋(捻転差)」を入れる。
-        features.push(0); // 腰は基準なので0 (捻転差の基準)
+        features.push(hipRotation);   // 骨盤の回旋 (構えからの回転量。回し蹴り・ストレートの腰の返し)
         features.push(shoulderAngle); // 捻転差
 
         // --- C. 重心・バランス (Stability) [2要素] ---
@@ -246,6 +312,31 @@ class NormalizationEngine {
         return features;
     }
 
+    /**
+     * extractFeaturesV3 の出力に対応するチャンネル記述子 (出力JSONの channels に書き出す)
+     * @returns {Array} [{index, name, group, unit, landmarks, landmark_names, normalization, description}]
+     */
+    getFeatureChannels() {
+        return NormalizationEngine.FEATURE_CHANNELS.map((ch, index) => ({
+            index: index,
+            ...ch,
+            landmark_names: ch.landmarks.map(i => NormalizationEngine.LANDMARK_NAMES[i])
+        }));
+    }
+
+    /**
+     * 使用中のフィルタ設定 (出力JSONの filter に書き出す。設定の違うデータ同士の比較に気づけるように)
+     * @returns {Object} { profile, torso, extremity, landmarks }
+     */
+    getFilterSettings() {
+        return {
+            profile: this.filterProfile,
+            torso: { ...this.filterSettings.torso },
+            extremity: { ...this.filterSettings.extremity },
+            landmarks: JSON.parse(JSON.stringify(this.filterSettings.landmarks))
+        };
+    }
+
     // --- Helpers ---
     getMidPoint(p1, p2) {
         return {
@@ -262,6 +353,18 @@ class NormalizationEngine {
             Math.pow(p1.z - p2.z, 2)
         );
     }
+
+    // 1つのランドマークの座標 X/Y/Z の3チャンネル (FEATURE_CHANNELS の定義用)
+    static xyzChannels(prefix, group, landmark, label) {
+        return ['x', 'y', 'z'].map(axis => ({
+            name: `${prefix}_${axis}`,
+            group: group,
+            unit: 'spine_length',
+            landmarks: [landmark],
+            normalization: NormalizationEngine.COORD_NORMALIZATION,
+            description: `${label}(${landmark}) ${axis.toUpperCase()}`
+        }));
+    }
 }
 
 // =========================================================
@@ -287,7 +390,8 @@ class OneEuroFilter {
 
     filter(value, timestamp) {
         // update the sampling frequency based on timestamps
-        if (this.lastTime !== undefined && timestamp !== undefined) {
+        // (skip duplicated / out-of-order timestamps to keep freq finite and positive)
+        if (this.lastTime !== undefined && timestamp !== undefined && timestamp > this.lastTime) {
             this.freq = 1.0 / (timestamp - this.lastTime);
         }
         this.lastTime = timestamp;
@@ -332,6 +436,84 @@ class LowPassFilter {
     }
 }
 
+// =========================================================
+// One Euro Filter の設定
+// =========================================================
+// 速く動く末端(肘・手・膝・足)は beta を高くして追従させ、体幹は低速のブレ除去を優先する
+NormalizationEngine.EXTREMITY_LANDMARKS = [
+    13, 14, 15, 16, 17, 18, 19, 20, 21, 22, // 肘・手首・手
+    25, 26, 27, 28, 29, 30, 31, 32          // 膝・足首・足
+];
+
+NormalizationEngine.FILTER_PROFILES = {
+    // 標準: 末端は速い蹴りに追従、体幹は安定
+    adaptive: {
+        torso: { minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 },
+        extremity: { minCutoff: 1.5, beta: 0.5, dCutoff: 1.0 }
+    },
+    // 強め: 静止時のブレ除去を優先 (ゆっくりした型の確認向け)
+    smooth: {
+        torso: { minCutoff: 0.5, beta: 0.02, dCutoff: 1.0 },
+        extremity: { minCutoff: 0.8, beta: 0.3, dCutoff: 1.0 }
+    },
+    // 弱め: 追従を優先 (スロー映像・高fps向け)
+    responsive: {
+        torso: { minCutoff: 2.0, beta: 0.1, dCutoff: 1.0 },
+        extremity: { minCutoff: 3.0, beta: 1.0, dCutoff: 1.0 }
+    },
+    // 旧設定: 全ランドマーク共通の固定ローパス (beta = 0)
+    legacy: {
+        torso: { minCutoff: 1.0, beta: 0.0, dCutoff: 1.0 },
+        extremity: { minCutoff: 1.0, beta: 0.0, dCutoff: 1.0 }
+    }
+};
+
+// =========================================================
+// 特徴量チャンネル定義 (extractFeaturesV3 の出力順)
+// =========================================================
+// MediaPipe Pose のランドマーク名 (インデックス順)
+NormalizationEngine.LANDMARK_NAMES = [
+    'nose', 'left_eye_inner', 'left_eye', 'left_eye_outer',
+    'right_eye_inner', 'right_eye', 'right_eye_outer',
+    'left_ear', 'right_ear', 'mouth_left', 'mouth_right',
+    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_pinky', 'right_pinky',
+    'left_index', 'right_index', 'left_thumb', 'right_thumb',
+    'left_hip', 'right_hip', 'left_knee', 'right_knee',
+    'left_ankle', 'right_ankle', 'left_heel', 'right_heel',
+    'left_foot_index', 'right_foot_index'
+];
+
+// unit:
+//   spine_length - 脊柱長(腰中点〜肩中点)を 1.0 とした長さ
+//   deg          - 角度(度)
+// normalization:
+//   hip_centered_yaw_aligned_spine_scaled - 腰中点原点 → 両腰がX軸と平行になるようY軸回転 → 脊柱長で割る
+//   hip_line_relative                      - 正規化後の腰のライン(X軸)に対する角度
+//   take_start_relative                    - 正規化前の向きを、テイク最初のフレームからの差にしたもの
+//   spine_scaled                           - 2点間距離を脊柱長で割ったもの (回転・平行移動に依存しない)
+//   constant_zero                          - 正規化の基準なので常に0 (V3.1 までの hip_rotation)
+NormalizationEngine.COORD_NORMALIZATION = 'hip_centered_yaw_aligned_spine_scaled';
+
+NormalizationEngine.FEATURE_CHANNELS = [
+    // --- A. 軌跡・形状 (Trajectories) [18要素] ---
+    ...NormalizationEngine.xyzChannels('left_hand', 'hand_trajectory', 19, '左手'),
+    ...NormalizationEngine.xyzChannels('right_hand', 'hand_trajectory', 20, '右手'),
+    ...NormalizationEngine.xyzChannels('left_foot', 'foot_trajectory', 31, '左足'),
+    ...NormalizationEngine.xyzChannels('right_foot', 'foot_trajectory', 32, '右足'),
+    ...NormalizationEngine.xyzChannels('left_knee', 'knee_trajectory', 25, '左膝'),
+    ...NormalizationEngine.xyzChannels('right_knee', 'knee_trajectory', 26, '右膝'),
+    // --- B. 体幹・回旋 (Body Mechanics) [2要素] ---
+    { name: 'hip_rotation', group: 'hip_rotation', unit: 'deg', landmarks: [23, 24], normalization: 'take_start_relative', description: '骨盤の回旋 (テイク開始時の構えからの腰のラインの回転角)' },
+    { name: 'shoulder_twist', group: 'shoulder_twist', unit: 'deg', landmarks: [11, 12], normalization: 'hip_line_relative', description: '肩の捻転差 (腰のラインに対する肩のラインの角度)' },
+    // --- C. 重心・バランス (Stability) [2要素] ---
+    { name: 'cog_x', group: 'cog_deviation', unit: 'spine_length', landmarks: [], normalization: NormalizationEngine.COORD_NORMALIZATION, description: '重心偏差 X (Dempster の分節質量比から推定した重心)' },
+    { name: 'cog_z', group: 'cog_deviation', unit: 'spine_length', landmarks: [], normalization: NormalizationEngine.COORD_NORMALIZATION, description: '重心偏差 Z' },
+    // --- D. ガード・防御 (Guard Integrity) [2要素] ---
+    { name: 'left_guard_distance', group: 'guard_distance', unit: 'spine_length', landmarks: [0, 19], normalization: 'spine_scaled', description: '左手-頭部(鼻)距離' },
+    { name: 'right_guard_distance', group: 'guard_distance', unit: 'spine_length', landmarks: [0, 20], normalization: 'spine_scaled', description: '右手-頭部(鼻)距離' }
+];
+
 // ブラウザ環境とNode環境の両対応
 if (typeof window !== 'undefined') {
     window.NormalizationEngine = NormalizationEngine;
@@ -0,0 +1,493 @@
+/**
+ * pipeline.js
+ * Fingerprint Pipeline (DOMに依存しない生成ロジック)
+ *
+ * 役割:
+ * 1. 構えの自動判定 (StanceDetector) → トリム & 左右のミラーリング (出力する構えに揃える)
+ * 2. 信頼度の低いランドマークの補間と品質スコア (PoseQualityAnalyzer)
+ * 3. Metrics計算 (手足ごとの打撃 (StrikeSegmenter)・速度・時間・頂点 + 関節角度 (BiomechanicsAnalyzer)
+ *    + 運動連鎖 (KineticChainAnalyzer) + バランス (BalanceAnalyzer))
+ * 4. 正規化 & 100フレームへのリサンプリング (NormalizationEngine)
+ * 5. 出力JSONの組み立て (形式は schema.js で定義)
+ *
+ * ブラウザ (recorder.js) と Node.js の CLI (tools/build-fingerprints.js) の両方から使う。
+ */
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const PipelineNormalizationEngine = (typeof NormalizationEngine !== 'undefined')
+    ? NormalizationEngine
+    : require('./normalization.js');
+const PipelineQualityAnalyzer = (typeof PoseQualityAnalyzer !== 'undefined')
+    ? PoseQualityAnalyzer
+    : require('./quality.js');
+const PipelineBiomechanicsAnalyzer = (typeof BiomechanicsAnalyzer !== 'undefined')
+    ? BiomechanicsAnalyzer
+    : require('./biomechanics.js');
+const PipelineKineticChainAnalyzer = (typeof KineticChainAnalyzer !== 'undefined')
+    ? KineticChainAnalyzer
+    : require('./kinetic-chain.js');
+const PipelineBalanceAnalyzer = (typeof BalanceAnalyzer !== 'undefined')
+    ? BalanceAnalyzer
+    : require('./balance.js');
+const PipelineStanceDetector = (typeof StanceDetector !== 'undefined')
+    ? StanceDetector
+    : require('./stance.js');
+const PipelineStrikeSegmenter = (typeof StrikeSegmenter !== 'undefined')
+    ? StrikeSegmenter
+    : require('./segmentation.js');
+const PipelineFingerprintSchema = (typeof FingerprintSchema !== 'undefined')
+    ? FingerprintSchema
+    : require('./schema.js');
+
+// 速度・頂点を計算する手足 (metrics.active_part・metrics.strikes の part の候補)
+const FINGERPRINT_SPEED_PARTS = [
+    { id: 19, name: 'left_hand' },
+    { id: 20, name: 'right_hand' },
+    { id: 31, name: 'left_foot' },
+    { id: 32, name: 'right_foot' }
+];
+
+// 左右の組になっているランドマーク (MediaPipe Pose Landmarks。ミラーリングで入れ替える)
+const FINGERPRINT_MIRROR_PAIRS = [
+    [1, 4], [2, 5], [3, 6],       // 目 (内側・中心・外側)
+    [7, 8], [9, 10],              // 耳・口角
+    [11, 12], [13, 14], [15, 16], // 腕
+    [17, 18], [19, 20], [21, 22], // 手
+    [23, 24], [25, 26], [27, 28], // 足
+    [29, 30], [31, 32]            // 足先
+];
+
+class FingerprintPipeline {
+    /**
+     * @param {Object} options
+     * @param {Number} options.targetFrames - リサンプリング後のフレーム数 (既定: 100)
+     * @param {Object} options.filter - NormalizationEngine に渡す One Euro Filter の設定
+     * @param {Object} options.quality - PoseQualityAnalyzer の設定 (visibility の閾値・補間する最大区間)
+     */
+    constructor(options = {}) {
+        this.targetFrames = options.targetFrames || 100; // リサンプリング後のフレーム数
+        this.minFrames = 5;                              // 生成に必要な最低フレーム数
+        this.engine = new PipelineNormalizationEngine(options.filter);
+        this.qualityAnalyzer = new PipelineQualityAnalyzer(options.quality);
+        this.biomechanics = new PipelineBiomechanicsAnalyzer();
+        this.kineticChain = new PipelineKineticChainAnalyzer();
+        this.balance = new PipelineBalanceAnalyzer();
+        this.stanceDetector = new PipelineStanceDetector();
+        // トリム済みのテイク内の打撃 (構え位置は先頭フレーム、範囲は広げない)
+        this.segmenter = new PipelineStrikeSegmenter({ restFrom: 'start', padding: 0 });
+    }
+
+    /**
+     * 生のテイクから出力JSON(現行バージョン)を組み立てる
+     * @param {Array} frames - [{time(ms), pose, screenPose}] (poseHistory と同じ形式)
+     * @param {Object} options - name, performer, stance, heightCm, start, end (フレーム番号, endを含む),
+     *                            fingerprintStance (出力する構え。既定: orthodox)
+     * @returns {Object} 出力JSON
+     */
+    build(frames, options = {}) {
+        const { stance, stanceDetected, fingerprintStance, heightCm, metrics, quality, fingerprint, channels, filter } = this.process(frames, options);
+        return {
+            name: options.name,
+            performer: options.performer || "Unknown",
+            stance_original: stance,
+            stance_detected: stanceDetected, // ★映像から判定した構えと確信度 (stance_original と食い違えば選択ミスの可能性)
+            fingerprint_stance: fingerprintStance, // ★fingerprint・metrics の左右の向き (stance_original と違えば左右反転したデータ)
+            height_cm: heightCm,
+            created_at: new Date().toISOString(),
+            version: PipelineFingerprintSchema.CURRENT_VERSION,
+            metrics: metrics,         // ★速度・時間データ
+            quality: quality,         // ★ランドマークの信頼度 (補間した区間・フレームごとのスコア)
+            frames: fingerprint.length,
+            channels: channels,       // ★各要素の意味 (名前・単位・元ランドマーク・正規化方法)
+            filter: filter,           // ★平滑化 (One Euro Filter) の設定。設定が違うと fingerprint の形も変わる
+            fingerprint: fingerprint  // ★形状データ
+        };
+    }
+
+    /**
+     * 1つのテイクから、オーソドックス用とサウスポー用の出力JSONを組み立てる (片方は左右反転したデータ)
+     * @param {Array} frames - [{time(ms), pose, screenPose}]
+     * @param {Object} options - build と同じ (fingerprintStance は無視する)
+     * @returns {Array} [orthodox, southpaw]
+     */
+    buildBothStances(frames, options = {}) {
+        return ['orthodox', 'southpaw'].map(fingerprintStance => this.build(frames, { ...options, fingerprintStance }));
+    }
+
+    /**
+     * トリム範囲から metrics と fingerprint を計算する
+     * @param {Array} frames - [{time(ms), pose}]
+     * @param {Object} options - stance, heightCm, start, end, fingerprintStance
+     * @returns {Object} { stance, stanceDetected, fingerprintStance, heightCm, metrics, quality, fingerprint, channels, filter }
+     */
+    process(frames, options = {}) {
+        const start = options.start !== undefined ? options.start : 0;
+        const end = Math.min(frames.length - 1, options.end !== undefined ? options.end : frames.length - 1);
+        const trimmedData = frames.slice(start, end + 1);
+        if (trimmedData.length < this.minFrames) {
+            throw new Error(`選択範囲が短すぎます (${trimmedData.length} frames)`);
+        }
+
+        // 設定取得
+        const stance = options.stance === 'southpaw' ? "southpaw" : "orthodox";
+        const fingerprintStance = options.fingerprintStance === 'southpaw' ? "southpaw" : "orthodox";
+        const heightCm = options.heightCm || 170;
+
+        // 1. 構えと出力する構えが違えばミラーリング + 前処理
+        const processedHistory = trimmedData.map(frame => {
+            let pose = JSON.parse(JSON.stringify(frame.pose)); // Deep Copy
+            if (stance !== fingerprintStance) {
+                pose = this.mirrorPose(pose);
+            }
+            return {
+                time: frame.time,
+                pose: pose
+            };
+        });
+
+        // 2. 隠れて推測されたランドマークを補間 (短い区間のみ。長い区間は quality にフラグとして残す)
+        const assessment = this.qualityAnalyzer.assess(processedHistory);
+        const filledHistory = this.qualityAnalyzer.fillGaps(processedHistory, assessment.gaps);
+
+        // 3. Metrics計算 (正規化前に、実測値として計算)
+        const metrics = this.calculateMetrics(filledHistory, heightCm);
+        Object.assign(metrics, this.calculateJointMetrics(filledHistory, metrics));
+        const chain = this.calculateKineticChain(filledHistory, metrics);
+        if (chain) {
+            const { issues, ...rest } = chain;
+            metrics.kinetic_chain = { ...rest, flags: issues.map(issue => issue.code) };
+        }
+        const followingFrames = this.getFollowingFrames(frames, end, stance !== fingerprintStance);
+        metrics.balance = this.calculateBalance(filledHistory, metrics, followingFrames);
+
+        // 4. 正規化 & 100フレーム化
+        const fingerprint = this.generateV3Data(filledHistory);
+
+        // テイク冒頭の構え (トリム前・ミラーリング前の生データで判定)
+        const detected = this.stanceDetector.detect(frames);
+
+        return {
+            stance: stance,
+            stanceDetected: { stance: detected.stance, confidence: detected.confidence },
+            fingerprintStance: fingerprintStance,
+            heightCm: heightCm,
+            metrics: metrics,
+            quality: this.buildQuality(assessment, processedHistory),
+            fingerprint: fingerprint,
+            channels: this.engine.getFeatureChannels(),
+            filter: this.engine.getFilterSettings()
+        };
+    }
+
+    // ワールド座標の左右反転 (サウスポー ⇔ オーソドックス。X軸反転 & 左右入れ替え。pose を書き換える)
+    mirrorPose(pose) {
+        // 1. X座標を反転 (腰中点が原点)
+        pose.forEach(pt => pt.x = pt.x * -1);
+
+        // 2. 左右のIDを入れ替え
+        return this.swapSides(pose);
+    }
+
+    // 画面座標 (0-1) の左右反転 (元の配列は変えずに新しい配列を返す)
+    mirrorScreenPose(pose) {
+        return this.swapSides(pose.map(pt => ({ ...pt, x: 1 - pt.x })));
+    }
+
+    // 左右の組になっているランドマークを入れ替える (顔・腕・手・足)
+    swapSides(pose) {
+        FINGERPRINT_MIRROR_PAIRS.forEach(([left, right]) => {
+            const temp = pose[left];
+            pose[left] = pose[right];
+            pose[right] = temp;
+        });
+        return pose;
+    }
+
+    // 統計情報計算（行き・帰りの分離 & 手足ごとの打撃検出版）
+    calculateMetrics(history, heightCm) {
+        if (history.length < 5) return {};
+
+        const heightScale = heightCm / 175.0; // 身長補正
+        const startTime = history[0].time;
+        const timeSec = (i) => parseFloat(((history[i].time - startTime) / 1000).toFixed(3));
+
+        // 1. 打撃した手足をすべて検出する (構え位置からの変位 = 可動域で判定)
+        //    腰からの距離で比べると脚の長い足がほぼ必ず選ばれ、コンビネーションの他の打撃が消えてしまう
+        const strikes = this.segmenter.detect(history).map(s => {
+            const partId = FINGERPRINT_SPEED_PARTS.find(part => part.name === s.part).id;
+            return {
+                part: s.part,
+                start_frame: s.start,
+                apex_frame: s.apex,
+                end_frame: s.end,
+                start_sec: timeSec(s.start),
+                apex_sec: timeSec(s.apex),
+                end_sec: timeSec(s.end),
+                max_speed_outbound: this.calculateMaxSpeedInRange(history, s.start, s.apex, partId, heightScale),
+                max_speed_return: this.calculateMaxSpeedInRange(history, s.apex, s.end, partId, heightScale),
+                extension: s.peak_extension // 構え位置から最も離れた距離 (m)
+            };
+        });
+
+        // 2. 主動作: 部位ごとの打撃判定の閾値に対して、最も大きく動いた打撃
+        //    (打撃が検出されなければ、腰から最も遠ざかった手足)
+        const relativeExtension = (s) => s.extension / this.segmenter.parts.find(part => part.name === s.part).onset;
+        const main = strikes.reduce((best, s) => (!best || relativeExtension(s) > relativeExtension(best) ? s : best), null);
+        const active = main
+            ? { part: FINGERPRINT_SPEED_PARTS.find(part => part.name === main.part), apex: main.apex_frame }
+            : this.findFarthestPart(history);
+
+        // 3. 行き(Outbound)と帰り(Return)の速度を計算
+        const speedOut = this.calculateMaxSpeedInRange(history, 0, active.apex, active.part.id, heightScale);
+        const speedRet = this.calculateMaxSpeedInRange(history, active.apex, history.length - 1, active.part.id, heightScale);
+
+        const endTime = history[history.length - 1].time;
+        const durationSec = (endTime - startTime) / 1000;
+
+        return {
+            duration_sec: parseFloat(durationSec.toFixed(2)),
+            active_part: active.part.name,         // 自動判定された主動作のパーツ
+            max_speed_outbound: speedOut,          // 行きの速さ (m/s)
+            max_speed_return: speedRet,            // 帰りの速さ (m/s)
+            apex_frame: active.apex,               // 折り返し地点 (0-100のインデックスではなく、元配列のインデックス)
+            strikes: strikes,                      // 打撃した手足ごとの頂点・速度・タイミング
+            strike_order: strikes.map(s => s.part) // 打撃の順番 (頂点の早い順)
+        };
+    }
+
+    // 腰から最も遠ざかった手足と、その瞬間 (打撃を検出できなかったときの主動作)
+    findFarthestPart(history) {
+        let maxExtension = 0;
+        let active = { part: FINGERPRINT_SPEED_PARTS[1], apex: 0 }; // デフォルト右手
+
+        FINGERPRINT_SPEED_PARTS.forEach(part => {
+            history.forEach((frame, i) => {
+                const hipCenter = this.getMidPoint(frame.pose[23], frame.pose[24]);
+                const limb = frame.pose[part.id];
+                // 腰からの距離
+                const dist = Math.sqrt(
+                    Math.pow(limb.x - hipCenter.x, 2) +
+                    Math.pow(limb.y - hipCenter.y, 2) +
+                    Math.pow(limb.z - hipCenter.z, 2)
+                );
+                if (dist > maxExtension) {
+                    maxExtension = dist;
+                    active = { part: part, apex: i };
+                }
+            });
+        });
+        return active;
+    }
+
+    /**
+     * 関節角度: 頂点での値 (膝の伸展・股関節の屈曲/外転・チャンバー/打点の高さ・軸足の回旋・体幹の傾き)
+     * と、fingerprint と同じ時間軸に揃えた角度の推移 (angle_series)
+     * @param {Array} history - [{time(ms), pose}] (ミラーリング・補間済み)
+     * @param {Object} metrics - calculateMetrics() の結果 (active_part と apex_frame を使う)
+     * @returns {Object} metrics に追加する項目
+     */
+    calculateJointMetrics(history, metrics) {
+        const { summary, series } = this.biomechanics.analyze(history, {
+            activePart: metrics.active_part,
+            apexFrame: metrics.apex_frame
+        });
+
+        const startTime = history[0].time;
+        const times = history.map(frame => (frame.time - startTime) / 1000);
+        const angleSeries = {};
+        Object.keys(series).forEach(name => {
+            angleSeries[name] = this.resampleTimeSeries(series[name].map(v => [v]), times, this.targetFrames)
+                .map(([v]) => parseFloat(v.toFixed(1)));
+        });
+        return { ...summary, angle_series: angleSeries };
+    }
+
+    /**
+     * 主動作の運動連鎖: 出だし〜頂点での骨盤・体幹・手足の速度のピークの順番と間隔
+     * @param {Array} history - [{time(ms), pose}]
+     * @param {Object} metrics - calculateMetrics() の結果
+     * @returns {Object|null} KineticChainAnalyzer.analyze() の結果 (短すぎて計算できなければ null)
+     */
+    calculateKineticChain(history, metrics) {
+        const strike = this.findMainStrike(metrics);
+        return this.kineticChain.analyze(history, {
+            part: metrics.active_part,
+            start: strike ? strike.start_frame : 0,
+            apex: metrics.apex_frame
+        });
+    }
+
+    /**
+     * バランス: 主動作の出だしから重心が支持基底面を外れた距離・崩した区間・頂点からの立ち直り時間
+     * @param {Array} history - [{time(ms), pose}]
+     * @param {Object} metrics - calculateMetrics() の結果
+     * @param {Array} followingFrames - history の後ろのフレーム (getFollowingFrames。立ち直りの計測にだけ使う)
+     * @returns {Object} BalanceAnalyzer.analyze() の summary
+     */
+    calculateBalance(history, metrics, followingFrames = []) {
+        const strike = this.findMainStrike(metrics);
+        return this.balance.analyze(history.concat(followingFrames), {
+            start: strike ? strike.start_frame : 0,
+            apex: metrics.apex_frame,
+            end: history.length - 1
+        }).summary;
+    }
+
+    /**
+     * トリム範囲の後ろのフレーム (立ち直りの計測用。maxRecoverySec + stableSec まで)
+     * トリム範囲と同じく、隠れて推測されたランドマークは補間しておく
+     * @param {Array} frames - [{time(ms), pose}] (トリム前)
+     * @param {Number} end - トリム範囲の最終フレーム
+     * @param {Boolean} mirror - 左右反転するか (打撃の範囲と同じ向きに揃える)
+     * @returns {Array} [{time, pose}]
+     */
+    getFollowingFrames(frames, end, mirror) {
+        const limitTime = frames[end].time + (this.balance.maxRecoverySec + this.balance.stableSec) * 1000;
+        // 最終フレームも含めて補間し (範囲の直後から始まる欠損の補間元にする)、最後に外す
+        const following = frames.slice(end).filter(frame => frame.time <= limitTime).map(frame => ({
+            time: frame.time,
+            pose: mirror ? this.mirrorPose(JSON.parse(JSON.stringify(frame.pose))) : frame.pose
+        }));
+        return this.qualityAnalyzer.fillGaps(following, this.qualityAnalyzer.assess(following).gaps).slice(1);
+    }
+
+    // metrics.strikes のうち主動作 (active_part・apex_frame が一致する打撃)
+    findMainStrike(metrics) {
+        return (metrics.strikes || []).find(s => s.part === metrics.active_part && s.apex_frame === metrics.apex_frame) || null;
+    }
+
+    // 指定範囲内での最大速度を求めるヘルパー関数
+    calculateMaxSpeedInRange(history, startIndex, endIndex, partId, scale) {
+        let maxSpeed = 0;
+        if (endIndex <= startIndex) return 0;
+
+        for (let i = startIndex + 1; i <= endIndex; i++) {
+            const speed = this.calculateSpeedAt(history, i, partId, scale);
+            if (speed !== null && speed > maxSpeed) {
+                maxSpeed = speed;
+            }
+        }
+        return parseFloat(maxSpeed.toFixed(2));
+    }
+
+    /**
+     * 手足ごとの速度の推移 (編集画面のタイムライン用)
+     * @param {Array} history - [{time(ms), pose}]
+     * @param {Number} heightCm
+     * @returns {Object} { left_hand: [m/s | null], right_hand, left_foot, right_foot } (history と同じ長さ)
+     */
+    calculateSpeedCurves(history, heightCm = 170) {
+        const heightScale = heightCm / 175.0;
+        const curves = {};
+        FINGERPRINT_SPEED_PARTS.forEach(part => {
+            curves[part.name] = history.map((frame, i) =>
+                i === 0 ? 0 : this.calculateSpeedAt(history, i, part.id, heightScale)
+            );
+        });
+        return curves;
+    }
+
+    // 直前のフレームからの瞬間速度 (m/s)。時間が進んでいない・異常値は null
+    calculateSpeedAt(history, i, partId, scale) {
+        const dt = (history[i].time - history[i-1].time) / 1000;
+        if (dt <= 0) return null;
+
+        const p1 = history[i-1].pose[partId];
+        const p2 = history[i].pose[partId];
+
+        const dist = Math.sqrt(
+            Math.pow(p2.x - p1.x, 2) +
+            Math.pow(p2.y - p1.y, 2) +
+            Math.pow(p2.z - p1.z, 2)
+        );
+
+        // 瞬間速度 (m/s)
+        const speed = (dist * scale) / dt;
+
+        // ノイズ除去: 人体の限界を超えた異常値(例: 20m/s以上)はカットするフィルタを入れるとより良い
+        return speed < 25.0 ? speed : null;
+    }
+
+    // テイク全体の品質 + fingerprint と同じ時間軸に揃えたフレームごとのスコア
+    buildQuality(assessment, history) {
+        const startTime = history[0].time;
+        const times = history.map(frame => (frame.time - startTime) / 1000);
+        const frameScores = this.resampleTimeSeries(assessment.frameScores.map(s => [s]), times, this.targetFrames)
+            .map(([s]) => parseFloat(s.toFixed(2)));
+        const keyLandmarks = this.qualityAnalyzer.keyLandmarks;
+        return {
+            ...this.qualityAnalyzer.summarize(assessment),
+            gaps: assessment.gaps
+                .filter(gap => keyLandmarks.includes(gap.landmark))
+                .map(gap => ({
+                    landmark: PipelineNormalizationEngine.LANDMARK_NAMES[gap.landmark],
+                    start: gap.start,
+                    end: gap.end,
+                    duration_sec: gap.duration_sec,
+                    interpolated: gap.fillable
+                })),
+            frame_scores: frameScores
+        };
+    }
+
+    generateV3Data(history) {
+        // テイクごとにフィルタ状態を初期化 (前回のテイクの値を引きずらない)
+        const engine = this.engine;
+        engine.reset();
+        const processed = [];
+        const times = [];
+        const startTime = history[0].time;
+        history.forEach(frame => {
+            // 記録時の実タイムスタンプ(秒)をフィルタに渡す
+            const timeSec = (frame.time - startTime) / 1000;
+            // Poseは既にミラーリング済み
+            const features = engine.process(frame.pose, timeSec);
+            if (features) {
+                processed.push(features);
+                times.push(timeSec);
+            }
+        });
+        return this.resampleTimeSeries(processed, times, this.targetFrames);
+    }
+
+    // 時間軸で等間隔にリサンプリング (fpsの揺らぎや端末差を吸収する)
+    resampleTimeSeries(data, times, targetLen) {
+        if (data.length === 0) return [];
+        const t0 = times[0];
+        const duration = times[times.length - 1] - t0;
+        if (data.length === 1 || duration <= 0) return new Array(targetLen).fill(data[0]);
+        const resampled = [];
+        let indexLow = 0;
+        for (let i = 0; i < targetLen; i++) {
+            const t = t0 + duration * (i / (targetLen - 1));
+            // t を挟む2フレームを探す (times は単調増加)
+            while (indexLow < data.length - 2 && times[indexLow + 1] <= t) indexLow++;
+            const indexHigh = Math.min(indexLow + 1, data.length - 1);
+            const span = times[indexHigh] - times[indexLow];
+            const ratio = span > 0 ? Math.min(1, Math.max(0, (t - times[indexLow]) / span)) : 0;
+            const frameLow = data[indexLow];
+            const frameHigh = data[indexHigh];
+            const newFrame = frameLow.map((val, idx) => val + (frameHigh[idx] - val) * ratio);
+            resampled.push(newFrame);
+        }
+        return resampled;
+    }
+
+    // --- Helpers ---
+    getMidPoint(p1, p2) {
+        return {
+            x: (p1.x + p2.x) / 2,
+            y: (p1.y + p2.y) / 2,
+            z: (p1.z + p2.z) / 2
+        };
+    }
+}
+
+FingerprintPipeline.SPEED_PARTS = FINGERPRINT_SPEED_PARTS;
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.FingerprintPipeline = FingerprintPipeline;
+} else if (typeof module !== 'undefined') {
+    module.exports = FingerprintPipeline;
+}
@@ -0,0 +1,60 @@
+/**
+ * pose-buffer.js
+ * Pose Ring Buffer (直近数秒の検出結果を常に保持する)
+ *
+ * 役割:
+ * 1. カメラの検出結果 {time, pose, screenPose} を時間で区切って保持 (古いものから捨てる)
+ * 2. 直近 N 秒分の切り出し (録画開始時のプリロール・「直前を保存」)
+ *
+ * 録画ボタンを押す前から記録しておくことで、速い打撃の出だしや
+ * スパーリング中の良い動きを後から取り出せるようにする。
+ */
+
+class PoseRingBuffer {
+    /**
+     * @param {Number} durationSec - 保持する長さ (秒)
+     */
+    constructor(durationSec = 10) {
+        this.durationSec = durationSec;
+        this.frames = [];
+    }
+
+    /**
+     * フレームを追加し、保持時間より古いフレームを捨てる
+     * @param {Object} frame - {time(ms), pose, screenPose}
+     */
+    push(frame) {
+        // 時刻が戻った (端末の時計の変更など) 場合は、つながらないので捨て直す
+        if (this.frames.length > 0 && frame.time < this.frames[this.frames.length - 1].time) {
+            this.frames = [];
+        }
+        this.frames.push(frame);
+
+        const oldest = frame.time - this.durationSec * 1000;
+        let stale = 0;
+        while (stale < this.frames.length && this.frames[stale].time < oldest) stale++;
+        if (stale > 0) this.frames.splice(0, stale);
+    }
+
+    /**
+     * 直近 sec 秒分のフレームを返す (バッファの配列とは別の配列)
+     * @param {Number} sec
+     * @returns {Array} [{time, pose, screenPose}]
+     */
+    getLast(sec) {
+        if (this.frames.length === 0 || sec <= 0) return [];
+        const from = this.frames[this.frames.length - 1].time - sec * 1000;
+        return this.frames.filter(frame => frame.time >= from);
+    }
+
+    clear() {
+        this.frames = [];
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.PoseRingBuffer = PoseRingBuffer;
+} else if (typeof module !== 'undefined') {
+    module.exports = PoseRingBuffer;
+}
@@ -0,0 +1,168 @@
+/**
+ * quality.js
+ * Pose Quality (ランドマークの信頼度評価と欠損補間)
+ *
+ * 役割:
+ * 1. visibility の低いランドマーク (体の陰に隠れて MediaPipe が推測した点) の検出
+ * 2. 短い欠損区間を前後の信頼できるフレームから線形補間 (長い区間は補間せずフラグのみ)
+ * 3. フレームごと・テイク全体の品質スコア (特徴量に使うランドマークのうち信頼できる割合)
+ *
+ * 後ろ手の打撃では手が胴体に隠れやすく、推測された位置がそのまま特徴量に入ってしまうため、
+ * 正規化の前にここで補間・評価する。
+ */
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const QualityNormalizationEngine = (typeof NormalizationEngine !== 'undefined')
+    ? NormalizationEngine
+    : require('./normalization.js');
+
+class PoseQualityAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {Number} options.visibilityThreshold - これ未満の visibility は信頼しない (既定: 0.5)
+     * @param {Number} options.maxGapSec - 補間する欠損区間の最大長 (秒, 既定: 0.5)
+     * @param {Number} options.warnRatio - 信頼度の低いフレームがこの割合を超えたら警告 (既定: 0.3)
+     * @param {Array} options.keyLandmarks - 品質スコアの対象 (既定: 特徴量チャンネルが使うランドマーク)
+     */
+    constructor(options = {}) {
+        this.visibilityThreshold = options.visibilityThreshold !== undefined ? options.visibilityThreshold : 0.5;
+        this.maxGapSec = options.maxGapSec !== undefined ? options.maxGapSec : 0.5;
+        this.warnRatio = options.warnRatio !== undefined ? options.warnRatio : 0.3;
+        this.keyLandmarks = options.keyLandmarks || [...new Set(
+            QualityNormalizationEngine.FEATURE_CHANNELS.flatMap(ch => ch.landmarks)
+        )].sort((a, b) => a - b);
+    }
+
+    /**
+     * フレームごとの信頼度と欠損区間を調べる
+     * @param {Array} history - [{time(ms), pose}]
+     * @returns {Object} { reliable: [frame][landmark] Boolean, frameScores: [0-1], gaps: [{landmark, start, end, duration_sec, fillable}] }
+     */
+    assess(history) {
+        const reliable = history.map(frame => frame.pose.map(pt => this.isReliable(pt)));
+        const frameScores = reliable.map(flags =>
+            this.keyLandmarks.filter(i => flags[i]).length / this.keyLandmarks.length
+        );
+        return { reliable: reliable, frameScores: frameScores, gaps: this.findGaps(history, reliable) };
+    }
+
+    /**
+     * 補間できる欠損区間を、前後の信頼できるフレームから時間で線形補間する
+     * (片側しかない場合はその値で埋める。元の history は変更しない)
+     * @param {Array} history - [{time(ms), pose}]
+     * @param {Array} gaps - assess() の gaps
+     * @returns {Array} 補間後の history
+     */
+    fillGaps(history, gaps) {
+        const filled = history.map(frame => ({ ...frame, pose: frame.pose.map(pt => ({ ...pt })) }));
+        gaps.filter(gap => gap.fillable).forEach(gap => {
+            const id = gap.landmark;
+            const before = gap.start > 0 ? history[gap.start - 1] : null;
+            const after = gap.end < history.length - 1 ? history[gap.end + 1] : null;
+            for (let i = gap.start; i <= gap.end; i++) {
+                const pt = filled[i].pose[id];
+                let src;
+                if (before && after) {
+                    const ratio = (history[i].time - before.time) / (after.time - before.time);
+                    src = this.lerp(before.pose[id], after.pose[id], ratio);
+                } else {
+                    src = (before || after).pose[id];
+                }
+                pt.x = src.x;
+                pt.y = src.y;
+                pt.z = src.z;
+            }
+        });
+        return filled;
+    }
+
+    /**
+     * assess() の結果をテイク全体の品質にまとめる
+     * @param {Object} assessment - assess() の戻り値
+     * @returns {Object} { score, unreliable_frames, unreliable_ratio, unreliable_landmarks, interpolated_gaps, flagged_gaps, warning }
+     */
+    summarize(assessment) {
+        const { reliable, frameScores, gaps } = assessment;
+        const frameCount = frameScores.length;
+        const unreliableFrames = frameScores.filter(s => s < 1).length;
+        const unreliableRatio = frameCount > 0 ? unreliableFrames / frameCount : 0;
+
+        // ランドマークごとの「信頼できないフレームの割合」(0 のものは省く)
+        const unreliableLandmarks = {};
+        this.keyLandmarks.forEach(id => {
+            const count = reliable.filter(flags => !flags[id]).length;
+            if (count > 0) {
+                unreliableLandmarks[QualityNormalizationEngine.LANDMARK_NAMES[id]] = parseFloat((count / frameCount).toFixed(2));
+            }
+        });
+
+        const keyGaps = gaps.filter(gap => this.keyLandmarks.includes(gap.landmark));
+        const mean = frameCount > 0 ? frameScores.reduce((sum, s) => sum + s, 0) / frameCount : 0;
+        return {
+            score: parseFloat(mean.toFixed(2)),
+            unreliable_frames: unreliableFrames,
+            unreliable_ratio: parseFloat(unreliableRatio.toFixed(2)),
+            unreliable_landmarks: unreliableLandmarks,
+            interpolated_gaps: keyGaps.filter(gap => gap.fillable).length,
+            flagged_gaps: keyGaps.filter(gap => !gap.fillable).length,
+            warning: unreliableRatio > this.warnRatio
+        };
+    }
+
+    // ランドマークごとに、信頼できないフレームが続く区間を探す
+    findGaps(history, reliable) {
+        const gaps = [];
+        const landmarkCount = history.length > 0 ? history[0].pose.length : 0;
+        for (let id = 0; id < landmarkCount; id++) {
+            let start = -1;
+            for (let i = 0; i <= history.length; i++) {
+                const ok = i === history.length || reliable[i][id];
+                if (!ok && start < 0) start = i;
+                if (ok && start >= 0) {
+                    gaps.push(this.describeGap(history, id, start, i - 1));
+                    start = -1;
+                }
+            }
+        }
+        return gaps;
+    }
+
+    // 補間に使う前後のフレーム間の時間で長さを測る (端の区間は区間そのものの長さ)
+    describeGap(history, landmark, start, end) {
+        const hasBefore = start > 0;
+        const hasAfter = end < history.length - 1;
+        const from = history[hasBefore ? start - 1 : start].time;
+        const to = history[hasAfter ? end + 1 : end].time;
+        const durationSec = (to - from) / 1000;
+        return {
+            landmark: landmark,
+            start: start,
+            end: end,
+            duration_sec: parseFloat(durationSec.toFixed(3)),
+            fillable: (hasBefore || hasAfter) && durationSec <= this.maxGapSec
+        };
+    }
+
+    // --- Helpers ---
+    // visibility が無いデータ (外部ツールで作ったテイクなど) は判定できないので信頼する
+    isReliable(pt) {
+        if (!pt) return false;
+        const visibility = typeof pt.visibility === 'number' ? pt.visibility : 1;
+        return visibility >= this.visibilityThreshold;
+    }
+
+    lerp(p1, p2, ratio) {
+        return {
+            x: p1.x + (p2.x - p1.x) * ratio,
+            y: p1.y + (p2.y - p1.y) * ratio,
+            z: p1.z + (p2.z - p1.z) * ratio
+        };
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.PoseQualityAnalyzer = PoseQualityAnalyzer;
+} else if (typeof module !== 'undefined') {
+    module.exports = PoseQualityAnalyzer;
+}
@@ -5,6 +5,7 @@ const videoElement = document.getElementById('inputVideo');
 const canvasElement = document.getElementById('outputCanvas');
 const canvasCtx = canvasElement.getContext('2d');
 const statusMsg = document.getElementById('statusMsg');
+const guideBox = document.getElementById('guideBox');
 
 // UI Elements
 const recordBtn = document.getElementById('recordBtn');
@@ -12,6 +13,11 @@ const stopBtn = document.getElementById('stopBtn');
 const resetBtn = document.getElementById('resetBtn');
 const toEditBtn = document.getElementById('toEditBtn');
 const countdownDisplay = document.getElementById('countdownDisplay');
+const recordBtnIcon = document.getElementById('recordBtnIcon');
+const importBtn = document.getElementById('importBtn');
+const videoFileInput = document.getElementById('videoFileInput');
+const saveBufferBtn = document.getElementById('saveBufferBtn');
+const saveBufferLabel = document.getElementById('saveBufferLabel');
 
 // Edit Modal Elements
 const editModal = document.getElementById('editModal');
@@ -19,29 +25,193 @@ const closeEditBtn = document.getElementById('closeEditBtn');
 const previewCanvas = document.getElementById('previewCanvas');
 const previewCtx = previewCanvas.getContext('2d');
 const previewPlayBtn = document.getElementById('previewPlayBtn');
+const previewVideo = document.getElementById('previewVideo');
 const rangeStart = document.getElementById('rangeStart');
 const rangeEnd = document.getElementById('rangeEnd');
 const sliderRange = document.getElementById('sliderRange');
 const startFrameText = document.getElementById('startFrameText');
 const endFrameText = document.getElementById('endFrameText');
+const qualityInfo = document.getElementById('qualityInfo');
+const kineticInfo = document.getElementById('kineticInfo');
+const balanceInfo = document.getElementById('balanceInfo');
+const timelineCanvas = document.getElementById('timelineCanvas');
+const timelineCtx = timelineCanvas.getContext('2d');
+const timelineLegend = document.getElementById('timelineLegend');
+const playheadText = document.getElementById('playheadText');
+const stepBackBtn = document.getElementById('stepBackBtn');
+const stepForwardBtn = document.getElementById('stepForwardBtn');
+const jumpApexBtn = document.getElementById('jumpApexBtn');
+const setStartBtn = document.getElementById('setStartBtn');
+const setEndBtn = document.getElementById('setEndBtn');
 
 // Input Fields
 const techNameInput = document.getElementById('techNameInput');
 const performerName = document.getElementById('performerName');
 const heightInput = document.getElementById('heightInput');
 const stanceInputs = document.getElementsByName('stance');
+const stanceHint = document.getElementById('stanceHint');
 const generateBtn = document.getElementById('generateBtn');
 const copyJsonBtn = document.getElementById('copyJsonBtn');
 const jsonPreview = document.getElementById('jsonPreview');
 const resultArea = document.getElementById('resultArea');
+const clipExportRow = document.getElementById('clipExportRow');
+const exportClipToggle = document.getElementById('exportClipToggle');
+const downloadClipBtn = document.getElementById('downloadClipBtn');
+const dualStanceToggle = document.getElementById('dualStanceToggle');
+
+// Filter Elements
+const filterProfileSelect = document.getElementById('filterProfileSelect');
+const filterCompareBtn = document.getElementById('filterCompareBtn');
+const mirrorPreviewBtn = document.getElementById('mirrorPreviewBtn');
+
+// 3D Viewer Elements
+const viewer3dBtn = document.getElementById('viewer3dBtn');
+const viewer3dPanel = document.getElementById('viewer3dPanel');
+const viewer3dCanvas = document.getElementById('viewer3dCanvas');
+const viewer3dMode = document.getElementById('viewer3dMode');
+
+// Take Export Elements
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportBvhBtn = document.getElementById('exportBvhBtn');
+
+// Segmentation Elements
+const detectStrikesBtn = document.getElementById('detectStrikesBtn');
+const segmentSummary = document.getElementById('segmentSummary');
+const batchGenerateBtn = document.getElementById('batchGenerateBtn');
+const segmentList = document.getElementById('segmentList');
+
+// Comparison Elements
+const loadReferenceBtn = document.getElementById('loadReferenceBtn');
+const referenceFileInput = document.getElementById('referenceFileInput');
+const referenceName = document.getElementById('referenceName');
+const compareBtn = document.getElementById('compareBtn');
+const compareResult = document.getElementById('compareResult');
+const compareScore = document.getElementById('compareScore');
+const compareGroups = document.getElementById('compareGroups');
+
+// PC Catalog Elements
+const openPcCatalogBtn = document.getElementById('openPcCatalogBtn');
+const pcCatalogModal = document.getElementById('pcCatalogModal');
+const closePcCatalogBtn = document.getElementById('closePcCatalogBtn');
+const pcCatalogList = document.getElementById('pcCatalogList');
+const pcCatalogEmpty = document.getElementById('pcCatalogEmpty');
+
+// Library Elements
+const libraryBtn = document.getElementById('libraryBtn');
+const libraryModal = document.getElementById('libraryModal');
+const closeLibraryBtn = document.getElementById('closeLibraryBtn');
+const takeList = document.getElementById('takeList');
+const libraryEmpty = document.getElementById('libraryEmpty');
+
+// Settings Elements
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsModal = document.getElementById('settingsModal');
+const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+const handsFreeToggle = document.getElementById('handsFreeToggle');
+const countdownSecInput = document.getElementById('countdownSecInput');
+const maxDurationInput = document.getElementById('maxDurationInput');
+const beepToggle = document.getElementById('beepToggle');
+const preRollSecInput = document.getElementById('preRollSecInput');
+const postRollSecInput = document.getElementById('postRollSecInput');
+const bufferSecInput = document.getElementById('bufferSecInput');
 
 // Logic State
 let isRecording = false;
+let recordStartTime = null;   // 録画ボタンで録画を始めた時刻 (ms)。プリロールは最大録画時間に含めない
 let poseHistory = [];
-let normalizationEngine = new NormalizationEngine();
+let fingerprintPipeline = new FingerprintPipeline({ filter: { profile: 'adaptive' } });
+let isFilterCompare = false;   // プレビューを「生 | フィルタ後」の左右比較にする
+let filteredPreview = [];      // poseHistory と同じ並びのフィルタ後ワールド座標
+let isMirrorPreview = false;   // プレビューを左右反転して表示する (反対の構えでの見え方の確認)
+let isViewer3d = false;        // 3Dプレビューを表示中
+let viewer3dFrameRequest = null; // スライダー操作中の3Dプレビュー作り直しの予約 (requestAnimationFrame)
+let viewer3dRawCache = null;   // 生座標の3Dプレビュー { history, mirrored, frames } (トリム範囲に依存しないので使い回す)
 let pose = null;
 let previewAnimationId;
 let isPreviewPlaying = false;
+const takeLibrary = new TakeLibrary();
+let currentTakeId = null; // ライブラリ上の現在のテイク
+const DOWNLOAD_REVOKE_DELAY_MS = 1000; // ダウンロード用 URL を解放するまでの待ち時間
+const fingerprintComparator = new FingerprintComparator();
+let referenceData = null;  // 比較用に読み込んだ手本JSON
+const strikeSegmenter = new StrikeSegmenter();
+let strikeSegments = [];          // 自動検出された打撃 (トリム範囲の候補)
+let selectedSegmentIndex = -1;    // スライダーで調整中の打撃
+const poseQualityAnalyzer = new PoseQualityAnalyzer();
+
+const PART_LABELS = {
+    left_hand: '左手',
+    right_hand: '右手',
+    left_foot: '左足',
+    right_foot: '右足'
+};
+
+// タイムライン (編集画面の速度グラフと再生位置)
+const TIMELINE_COLORS = {
+    left_hand: '#F472B6',
+    right_hand: '#FB923C',
+    left_foot: '#34D399',
+    right_foot: '#60A5FA'
+};
+// 3Dプレビュー (手足の軌跡はタイムラインと同じ色)
+const skeletonViewer = new SkeletonViewer(viewer3dCanvas, {
+    trails: FingerprintPipeline.SPEED_PARTS.map(part => ({ id: part.id, color: TIMELINE_COLORS[part.name] }))
+});
+const MIN_TRIM_GAP = fingerprintPipeline.minFrames - 1; // 開始〜終了の最小フレーム差 (生成に必要なフレーム数)
+let playheadIndex = 0;         // プレビュー中のフレーム
+let speedCurves = null;        // テイク全体の手足ごとの速度 (m/s)
+let timelineApex = null;       // トリム範囲の頂点 {index, part}
+let isDraggingPlayhead = false;
+
+// 撮影条件チェック (録画前の構図・カメラ設置)
+const setupChecker = new SetupChecker();
+const SETUP_STABLE_FRAMES = 10; // 待機中、このフレーム数続けて問題が無ければ録画を始める
+let setupResult = null;         // 直近フレームの判定結果
+let isWaitingForSetup = false;  // カウントダウン後、撮影条件が整うのを待っている
+let setupOkFrames = 0;
+
+// 構えの自動判定 (テイク冒頭の構えから。選択と食い違えば警告)
+const stanceDetector = new StanceDetector();
+const STANCE_MIN_CONFIDENCE = 0.5; // これ以上の確信度なら自動で選択・警告する
+let detectedStance = null;         // 現在のテイクの判定結果
+
+// 撮影設定 (localStorage に保存)
+const SETTINGS_STORAGE_KEY = 'kick-recorder-settings';
+const DEFAULT_SETTINGS = {
+    handsFree: false,    // 構えで開始・構えに戻ったら停止
+    countdownSec: 3,     // 録画開始までのカウントダウン
+    maxDurationSec: 30,  // これを超えたら自動停止 (0 = 無制限)
+    preRollSec: 1,       // 録画開始前の何秒をテイクに含めるか
+    postRollSec: 0.5,    // 停止後も何秒記録を続けるか
+    bufferSec: 10,       // 「直前を保存」で保存する長さ
+    beep: true           // カウントダウン・開始・停止の音
+};
+let recorderSettings = loadSettings();
+
+// 直近の検出結果 (録画していない間も保持。プリロールと「直前を保存」に使う)
+const poseBuffer = new PoseRingBuffer(Math.max(recorderSettings.bufferSec, recorderSettings.preRollSec));
+let isStopping = false; // 停止ボタン後のポストロール中
+
+// 映像 (カメラ録画 or 読み込んだ動画ファイル)
+const videoCapture = new VideoCapture();
+let currentVideo = null;        // 現在のテイクの映像 { blob, mimeType, startTime }
+let previewVideoUrl = null;
+let pendingPreviewIndex = -1;   // シーク完了後に描画するフレーム
+let outputRanges = [];          // 生成済みJSONのトリム範囲 (クリップ書き出し用, 出力と同じ並び)
+
+// ハンズフリー
+const handsFreeTrigger = new HandsFreeTrigger();
+let isHandsFreeArmed = false; // 録画ボタンを押して、構えるのを待っている
+let audioCtx = null;          // ビープ音用 (ユーザー操作の中で作る)
+let cameraFrameTime = null;   // pose.send に渡したカメラフレームの取得時刻(ms)。推論の遅れを time に含めない
+
+// 動画ファイル読込モード
+const IMPORT_FALLBACK_FPS = 30; // requestVideoFrameCallback 非対応ブラウザでのシーク間隔
+const IMPORT_EVENT_TIMEOUT_MS = 15000; // 読み込み・シークがこれ以上終わらなければ失敗とする
+let sourceMode = 'camera';      // 'camera' | 'file'
+let isImporting = false;
+let importFrameTime = null;     // 解析中フレームの動画内時刻(ms)。カメラ時は null
+let importFrameCallbackId = null; // 待機中の requestVideoFrameCallback (読込終了時に取り消す)
 
 // Init
 function init() {
@@ -74,86 +244,508 @@ async function startBackCamera() {
     }
 }
 
+function stopCamera() {
+    const stream = videoElement.srcObject;
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    videoElement.srcObject = null;
+    poseBuffer.clear();
+}
+
 async function processVideoFrame() {
+    if (sourceMode !== 'camera') return;
     if (videoElement.paused || videoElement.ended) return;
     if (canvasElement.width !== videoElement.videoWidth) {
         canvasElement.width = videoElement.videoWidth;
         canvasElement.height = videoElement.videoHeight;
     }
+    cameraFrameTime = Date.now();
     await pose.send({image: videoElement});
     requestAnimationFrame(processVideoFrame);
 }
 
 function onResults(results) {
+    const frameTime = importFrameTime !== null ? importFrameTime : cameraFrameTime;
     canvasCtx.save();
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
 
     if (results.poseLandmarks) {
         drawConnectors(canvasCtx, results.poseLandmarks, POSE_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
         drawLandmarks(canvasCtx, results.poseLandmarks, {color: '#FF0000', lineWidth: 1});
-        checkVisibility(results.poseLandmarks);
 
-        if (isRecording && results.poseWorldLandmarks) {
-            poseHistory.push({
-                time: Date.now(),
+        if (results.poseWorldLandmarks) {
+            const frame = {
+                time: frameTime,
                 pose: results.poseWorldLandmarks,
                 screenPose: results.poseLandmarks
-            });
+            };
+            // カメラの検出結果は常にリングバッファにも残す
+            if (!isImporting) poseBuffer.push(frame);
+            if (isRecording || isImporting) poseHistory.push(frame);
+            if (isRecording && isTakeTooLong()) stopRecording();
         }
     }
     canvasCtx.restore();
+    if (!isImporting) {
+        checkSetup(results);
+        watchHandsFree(results, frameTime);
+    }
 }
 
-function checkVisibility(landmarks) {
-    const leftFoot = landmarks[31];
-    const rightFoot = landmarks[32];
-    if (!leftFoot || !rightFoot || leftFoot.visibility < 0.5 || rightFoot.visibility < 0.5) {
-        statusMsg.textContent = "⚠️ 足が見えません！";
-        statusMsg.className = "absolute bottom-10 text-lg font-bold text-red-400 drop-shadow-md bg-black/70 px-3 py-1 rounded border border-red-500";
-    } else {
-        if(!isRecording) {
-            statusMsg.textContent = "✅ 撮影OK";
-            statusMsg.className = "absolute bottom-10 text-lg font-bold text-green-400 drop-shadow-md bg-black/50 px-3 py-1 rounded";
-        } else {
-            statusMsg.textContent = "🔴 録画中...";
-            statusMsg.className = "absolute bottom-10 text-lg font-bold text-red-500 animate-pulse drop-shadow-md bg-black/50 px-3 py-1 rounded";
+// ==========================================
+// 撮影条件チェック (全身が枠内か・距離・カメラの傾き・横向きか)
+// ==========================================
+function checkSetup(results) {
+    setupResult = setupChecker.check(results.poseLandmarks, results.poseWorldLandmarks, {
+        guideBox: getGuideBox(),
+        aspect: canvasElement.width / canvasElement.height
+    });
+    renderSetupStatus(setupResult);
+
+    // 待機中: 問題 (block) の無い状態が続いたら録画を始める
+    if (isWaitingForSetup) {
+        setupOkFrames = setupResult.level === 'block' ? 0 : setupOkFrames + 1;
+        if (setupOkFrames >= SETUP_STABLE_FRAMES) {
+            endSetupWait();
+            startRecording();
         }
     }
 }
 
+function renderSetupStatus(result) {
+    const issue = result.issues[0];
+    guideBox.classList.toggle('border-white/50', result.level === 'ok');
+    guideBox.classList.toggle('border-yellow-400', result.level === 'warn');
+    guideBox.classList.toggle('border-red-500', result.level === 'block');
+
+    if (issue && issue.level === 'block') {
+        statusMsg.textContent = isWaitingForSetup ? `${issue.message} (⏸ をタップで開始)` : issue.message;
+        statusMsg.className = "absolute bottom-10 max-w-[90%] text-center text-base font-bold text-red-400 drop-shadow-md bg-black/70 px-3 py-1 rounded border border-red-500";
+    } else if (isRecording) {
+        statusMsg.textContent = "🔴 録画中...";
+        statusMsg.className = "absolute bottom-10 text-lg font-bold text-red-500 animate-pulse drop-shadow-md bg-black/50 px-3 py-1 rounded";
+    } else if (isHandsFreeArmed) {
+        statusMsg.textContent = "🥊 構えて静止すると録画を開始します";
+        statusMsg.className = "absolute bottom-10 max-w-[90%] text-center text-base font-bold text-blue-300 drop-shadow-md bg-black/70 px-3 py-1 rounded border border-blue-400";
+    } else if (issue) {
+        statusMsg.textContent = issue.message;
+        statusMsg.className = "absolute bottom-10 max-w-[90%] text-center text-base font-bold text-yellow-300 drop-shadow-md bg-black/70 px-3 py-1 rounded border border-yellow-400";
+    } else {
+        statusMsg.textContent = "✅ 撮影OK";
+        statusMsg.className = "absolute bottom-10 text-lg font-bold text-green-400 drop-shadow-md bg-black/50 px-3 py-1 rounded";
+    }
+}
+
+// ガイド枠の位置を映像の座標 (0-1) に換算する (canvas は object-contain で表示されている)
+function getGuideBox() {
+    const canvasRect = canvasElement.getBoundingClientRect();
+    const boxRect = guideBox.getBoundingClientRect();
+    if (!canvasRect.width || !canvasRect.height || !boxRect.width || !boxRect.height) return null;
+
+    const scale = Math.min(canvasRect.width / canvasElement.width, canvasRect.height / canvasElement.height);
+    const contentWidth = canvasElement.width * scale;
+    const contentHeight = canvasElement.height * scale;
+    const offsetX = canvasRect.left + (canvasRect.width - contentWidth) / 2;
+    const offsetY = canvasRect.top + (canvasRect.height - contentHeight) / 2;
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return {
+        left: clamp((boxRect.left - offsetX) / contentWidth),
+        right: clamp((boxRect.right - offsetX) / contentWidth),
+        top: clamp((boxRect.top - offsetY) / contentHeight),
+        bottom: clamp((boxRect.bottom - offsetY) / contentHeight)
+    };
+}
+
 // Recording Controls
-recordBtn.addEventListener('click', startCountdown);
+recordBtn.addEventListener('click', () => {
+    unlockAudio();
+    if (recorderSettings.handsFree) armHandsFree();
+    else startCountdown();
+});
 function startCountdown() {
     recordBtn.classList.add('hidden');
+    let count = recorderSettings.countdownSec;
+    if (count <= 0) { startWhenSetupReady(); return; }
     countdownDisplay.classList.remove('hidden');
-    let count = 3;
     countdownDisplay.textContent = count;
+    playBeep(880, 0.1);
     const timer = setInterval(() => {
         count--;
-        if (count > 0) { countdownDisplay.textContent = count; }
-        else { clearInterval(timer); countdownDisplay.classList.add('hidden'); startRecording(); }
+        if (count > 0) { countdownDisplay.textContent = count; playBeep(880, 0.1); }
+        else { clearInterval(timer); countdownDisplay.classList.add('hidden'); startWhenSetupReady(); }
     }, 1000);
 }
+// 撮影条件に問題 (block) があれば、整うまで録画を始めない
+// (⏸ のタップで強制開始、停止ボタンで中止)
+function startWhenSetupReady() {
+    if (!setupResult || setupResult.level !== 'block') {
+        startRecording();
+        return;
+    }
+    isWaitingForSetup = true;
+    setupOkFrames = 0;
+    countdownDisplay.textContent = '⏸';
+    countdownDisplay.classList.remove('hidden');
+    stopBtn.classList.remove('hidden');
+    renderSetupStatus(setupResult);
+}
+function endSetupWait() {
+    isWaitingForSetup = false;
+    countdownDisplay.classList.add('hidden');
+}
+countdownDisplay.addEventListener('click', () => {
+    if (!isWaitingForSetup) return;
+    endSetupWait();
+    startRecording();
+});
 function startRecording() {
     isRecording = true;
-    poseHistory = [];
+    recordStartTime = Date.now();
+    poseHistory = poseBuffer.getLast(recorderSettings.preRollSec); // プリロール
+    currentTakeId = null;
+    currentVideo = null;
+    videoCapture.start(videoElement.srcObject); // 非対応の端末では骨格のみ
+    handsFreeTrigger.reset();
+    importBtn.classList.add('hidden');
+    saveBufferBtn.classList.add('hidden');
+    libraryBtn.classList.add('hidden');
+    settingsBtn.classList.add('hidden');
     stopBtn.classList.remove('hidden');
+    playBeep(1320, 0.4);
 }
 stopBtn.addEventListener('click', () => {
-    isRecording = false;
+    // 録画開始前 (構え待ち・撮影条件待ち) なら取り消す
+    if (isHandsFreeArmed || isWaitingForSetup) {
+        isHandsFreeArmed = false;
+        endSetupWait();
+        stopBtn.classList.add('hidden');
+        recordBtn.classList.remove('hidden');
+        importBtn.classList.remove('hidden');
+        saveBufferBtn.classList.remove('hidden');
+        libraryBtn.classList.remove('hidden');
+        settingsBtn.classList.remove('hidden');
+        return;
+    }
+    stopRecording();
+});
+function stopRecording() {
+    if (!isRecording || isStopping) return;
+    isStopping = true;
     stopBtn.classList.add('hidden');
+    playBeep(660, 0.15);
+    playBeep(660, 0.15, 0.2);
+    // ポストロール: 停止後も少しだけ記録を続ける
+    setTimeout(() => {
+        isRecording = false;
+        isStopping = false;
+        finishTake();
+    }, recorderSettings.postRollSec * 1000);
+}
+// 「直前を保存」: 録画していなかった直近 N 秒をテイクにする
+saveBufferBtn.addEventListener('click', () => {
+    const frames = poseBuffer.getLast(recorderSettings.bufferSec);
+    if (frames.length < 10) { alert("保存できる動きがありません"); return; }
+    poseHistory = frames;
+    currentTakeId = null;
+    currentVideo = null; // 録画していないので映像は無い
+    finishTake();
+});
+// 最大録画時間 (記録時のタイムスタンプで判定)
+function isTakeTooLong() {
+    const maxMs = recorderSettings.maxDurationSec * 1000;
+    if (maxMs <= 0 || poseHistory.length === 0) return false;
+    return poseHistory[poseHistory.length - 1].time - recordStartTime >= maxMs;
+}
+async function finishTake() {
+    statusMsg.textContent = `💾 ${poseHistory.length} Frames`;
+    // 映像の書き出しが終わってから編集できるようにする (途中で保存・書き出しされないように)
+    if (videoCapture.isRecording) {
+        try {
+            currentVideo = await videoCapture.stop();
+        } catch (err) {
+            console.error(err);
+            currentVideo = null;
+            alert(`映像の保存に失敗しました (骨格データのみ保存します): ${err.message}`);
+        }
+    }
+    showTakeControls();
+    detectTakeStance(true);
+    saveCurrentTake();
+}
+function showTakeControls() {
+    recordBtn.classList.add('hidden');
+    importBtn.classList.add('hidden');
+    saveBufferBtn.classList.add('hidden');
     resetBtn.classList.remove('hidden');
     toEditBtn.classList.remove('hidden');
-    statusMsg.textContent = `💾 ${poseHistory.length} Frames`;
-});
+    libraryBtn.classList.remove('hidden');
+    settingsBtn.classList.remove('hidden');
+}
 resetBtn.addEventListener('click', () => {
+    // テイクはライブラリに保存済みなので、ここではメモリ上のデータだけ破棄する
     poseHistory = [];
+    currentTakeId = null;
+    currentVideo = null;
     resetBtn.classList.add('hidden');
     toEditBtn.classList.add('hidden');
     recordBtn.classList.remove('hidden');
+    importBtn.classList.remove('hidden');
+    saveBufferBtn.classList.remove('hidden');
+    libraryBtn.classList.remove('hidden');
     statusMsg.textContent = "🧍 全身を映してください";
+    if (sourceMode === 'file') returnToCamera();
+});
+// 動画ファイルを解放してカメラに戻す
+function returnToCamera() {
+    URL.revokeObjectURL(videoElement.src);
+    videoElement.removeAttribute('src');
+    videoElement.load();
+    sourceMode = 'camera';
+    startBackCamera();
+}
+
+// ==========================================
+// ハンズフリー録画 (構えて静止で開始、構えに戻ったら停止)
+// ==========================================
+function armHandsFree() {
+    isHandsFreeArmed = true;
+    handsFreeTrigger.reset();
+    recordBtn.classList.add('hidden');
+    importBtn.classList.add('hidden');
+    saveBufferBtn.classList.add('hidden');
+    libraryBtn.classList.add('hidden');
+    settingsBtn.classList.add('hidden');
+    stopBtn.classList.remove('hidden'); // 取り消し用
+}
+
+function watchHandsFree(results, frameTime) {
+    if (!results.poseWorldLandmarks) return;
+    const frame = { time: frameTime, pose: results.poseWorldLandmarks };
+    if (isHandsFreeArmed) {
+        if (handsFreeTrigger.watchForStance(frame)) {
+            isHandsFreeArmed = false;
+            stopBtn.classList.add('hidden');
+            startCountdown();
+        }
+    } else if (isRecording && recorderSettings.handsFree) {
+        if (handsFreeTrigger.watchForFinish(frame)) stopRecording();
+    }
+}
+
+// ==========================================
+// ビープ音 (Web Audio)
+// ==========================================
+// iOS ではタップの中で作成・再開しないと鳴らないため、録画ボタン・設定の操作時に準備する
+function unlockAudio() {
+    if (!recorderSettings.beep) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!audioCtx) audioCtx = new AudioContextClass();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+}
+
+function playBeep(frequency, durationSec, delaySec = 0) {
+    if (!recorderSettings.beep || !audioCtx) return;
+    const start = audioCtx.currentTime + delaySec;
+    const oscillator = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + durationSec);
+    oscillator.connect(gain);
+    gain.connect(audioCtx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + durationSec);
+}
+
+// ==========================================
+// 撮影設定
+// ==========================================
+function loadSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+    } catch (err) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+function saveSettings() {
+    recorderSettings = {
+        handsFree: handsFreeToggle.checked,
+        countdownSec: Math.min(10, Math.max(0, parseInt(countdownSecInput.value) || 0)),
+        maxDurationSec: Math.max(0, parseInt(maxDurationInput.value) || 0),
+        preRollSec: Math.min(10, Math.max(0, parseFloat(preRollSecInput.value) || 0)),
+        postRollSec: Math.min(10, Math.max(0, parseFloat(postRollSecInput.value) || 0)),
+        bufferSec: Math.min(60, Math.max(1, parseInt(bufferSecInput.value) || DEFAULT_SETTINGS.bufferSec)),
+        beep: beepToggle.checked
+    };
+    poseBuffer.durationSec = Math.max(recorderSettings.bufferSec, recorderSettings.preRollSec);
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(recorderSettings));
+    renderSettings();
+    unlockAudio();
+}
+
+function renderSettings() {
+    handsFreeToggle.checked = recorderSettings.handsFree;
+    countdownSecInput.value = recorderSettings.countdownSec;
+    maxDurationInput.value = recorderSettings.maxDurationSec;
+    preRollSecInput.value = recorderSettings.preRollSec;
+    postRollSecInput.value = recorderSettings.postRollSec;
+    bufferSecInput.value = recorderSettings.bufferSec;
+    beepToggle.checked = recorderSettings.beep;
+    saveBufferLabel.textContent = `直前${recorderSettings.bufferSec}秒`;
+    recordBtnIcon.textContent = recorderSettings.handsFree ? 'sports_martial_arts' : 'fiber_manual_record';
+}
+
+settingsBtn.addEventListener('click', () => settingsModal.classList.remove('hidden'));
+closeSettingsBtn.addEventListener('click', () => settingsModal.classList.add('hidden'));
+[handsFreeToggle, countdownSecInput, maxDurationInput, preRollSecInput, postRollSecInput, bufferSecInput, beepToggle].forEach(el => el.addEventListener('change', saveSettings));
+renderSettings();
+
+// ==========================================
+// 動画ファイル読込 (スロー映像・プロの映像から手本を作る)
+// ==========================================
+importBtn.addEventListener('click', () => videoFileInput.click());
+videoFileInput.addEventListener('change', () => {
+    const file = videoFileInput.files[0];
+    videoFileInput.value = ''; // 同じファイルを再選択できるように
+    if (file) importVideoFile(file);
 });
 
+async function importVideoFile(file) {
+    sourceMode = 'file';
+    stopCamera();
+    isImporting = true;
+    poseHistory = [];
+    currentTakeId = null;
+    recordBtn.classList.add('hidden');
+    importBtn.classList.add('hidden');
+    saveBufferBtn.classList.add('hidden');
+    libraryBtn.classList.add('hidden');
+    settingsBtn.classList.add('hidden'); // 解析中に平滑化・プリロールなどの設定を変えさせない
+    statusMsg.textContent = "📼 動画を読み込み中...";
+
+    let failed = false;
+    try {
+        videoElement.onloadedmetadata = null; // カメラ用の自動再生ハンドラを外す
+        videoElement.src = URL.createObjectURL(file);
+        await waitForEvent(videoElement, 'loadedmetadata');
+        videoElement.pause();
+        canvasElement.width = videoElement.videoWidth;
+        canvasElement.height = videoElement.videoHeight;
+
+        // 1フレームずつ止めて解析する (動画の実タイムスタンプを使用)
+        if ('requestVideoFrameCallback' in videoElement) {
+            await stepWithFrameCallback();
+        } else {
+            await stepWithSeek();
+        }
+    } catch (err) {
+        console.error(err);
+        failed = true;
+        alert(`動画の解析に失敗しました: ${err.message}`);
+    } finally {
+        isImporting = false;
+        importFrameTime = null;
+        videoElement.onended = null;
+        videoElement.onerror = null;
+        cancelImportFrameCallback();
+        settingsBtn.classList.remove('hidden');
+        // 読めない動画でボタンが隠れたままにならないよう、カメラに戻す
+        if (failed) {
+            returnToCamera();
+            statusMsg.textContent = "🧍 全身を映してください";
+            recordBtn.classList.remove('hidden');
+            importBtn.classList.remove('hidden');
+            saveBufferBtn.classList.remove('hidden');
+            libraryBtn.classList.remove('hidden');
+        }
+    }
+    if (failed) return;
+
+    if (poseHistory.length === 0) {
+        statusMsg.textContent = "⚠️ 人物を検出できませんでした";
+        resetBtn.classList.remove('hidden');
+        libraryBtn.classList.remove('hidden');
+        return;
+    }
+    // 読み込んだ動画そのものをテイクの映像にする (フレームの time が動画内の時刻)
+    currentVideo = { blob: file, mimeType: file.type, startTime: 0 };
+    finishTake();
+}
+
+// 再生 → フレーム提示ごとに一時停止 → 解析 → 再生 を繰り返す
+function stepWithFrameCallback() {
+    return new Promise((resolve, reject) => {
+        let ended = false;
+        let busy = false;
+        videoElement.onended = () => {
+            ended = true;
+            cancelImportFrameCallback();
+            if (!busy) resolve();
+        };
+        videoElement.onerror = () => reject(new Error("動画の再生中にエラーが発生しました"));
+        const onFrame = async (now, metadata) => {
+            importFrameCallbackId = null;
+            // 読込が終わった後に届いたコールバックは無視する (importFrameTime を書き換えない)
+            if (ended || !isImporting) return;
+            busy = true;
+            videoElement.pause();
+            try {
+                await analyzeImportFrame(metadata.mediaTime);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+            busy = false;
+            if (ended || videoElement.currentTime >= videoElement.duration) { resolve(); return; }
+            importFrameCallbackId = videoElement.requestVideoFrameCallback(onFrame);
+            videoElement.play().catch(reject);
+        };
+        importFrameCallbackId = videoElement.requestVideoFrameCallback(onFrame);
+        videoElement.currentTime = 0;
+        videoElement.play().catch(reject);
+    });
+}
+
+function cancelImportFrameCallback() {
+    if (importFrameCallbackId === null) return;
+    videoElement.cancelVideoFrameCallback(importFrameCallbackId);
+    importFrameCallbackId = null;
+}
+
+// requestVideoFrameCallback 非対応時: 固定間隔でシークして解析
+async function stepWithSeek() {
+    const step = 1 / IMPORT_FALLBACK_FPS;
+    for (let t = 0; t <= videoElement.duration; t += step) {
+        videoElement.currentTime = t;
+        await waitForEvent(videoElement, 'seeked');
+        await analyzeImportFrame(videoElement.currentTime);
+    }
+}
+
+async function analyzeImportFrame(mediaTimeSec) {
+    importFrameTime = mediaTimeSec * 1000; // poseHistory の time と同じ ms 単位
+    await pose.send({image: videoElement});
+    const pct = Math.min(100, Math.round((mediaTimeSec / videoElement.duration) * 100));
+    statusMsg.textContent = `📼 解析中... ${pct}% (${poseHistory.length} Frames)`;
+}
+
+// type のイベントを待つ (error イベント・timeoutMs の経過で reject。壊れた・非対応の動画で止まったままにしない)
+function waitForEvent(target, type, timeoutMs = IMPORT_EVENT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            target.removeEventListener(type, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        const onEvent = (e) => { cleanup(); resolve(e); };
+        const onError = () => { cleanup(); reject(new Error("動画を読み込めません (非対応の形式か、ファイルが壊れています)")); };
+        const timer = setTimeout(() => { cleanup(); reject(new Error(`動画の読み込みがタイムアウトしました (${type})`)); }, timeoutMs);
+        target.addEventListener(type, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
 // Editor Controls
 toEditBtn.addEventListener('click', () => {
     if (poseHistory.length < 10) { alert("データが短すぎます"); return; }
@@ -164,16 +756,21 @@ function openEditor() {
     const max = poseHistory.length - 1;
     rangeStart.max = max; rangeEnd.max = max;
     rangeStart.value = 0; rangeEnd.value = max;
+    clearSegments();
+    loadPreviewVideo();
+    if (isFilterCompare) updateFilteredPreview();
+    updateSpeedCurves();
     updateSliderUI();
-    drawPreviewFrame(0);
+    setPlayhead(0);
 }
-function updateSliderUI() {
+// isDragging: スライダーをドラッグ中 (input)。重い解析とタイムラインの描き直しは離したとき (change) に行う
+function updateSliderUI(isDragging = false) {
     const min = parseInt(rangeStart.value);
     const max = parseInt(rangeEnd.value);
 
     // 交差防止
-    if (min > max - 5) {
-        rangeStart.value = max - 5;
+    if (min > max - MIN_TRIM_GAP) {
+        rangeStart.value = max - MIN_TRIM_GAP;
     }
 
     const total = parseInt(rangeStart.max);
@@ -185,44 +782,586 @@ function updateSliderUI() {
     sliderRange.style.left = leftPct + "%";
     sliderRange.style.right = (100 - rightPct) + "%";
 
-    // ★ここを変更: フレーム数(30fps)を秒数に変換して表示
-    const startSec = (parseInt(rangeStart.value) / 30).toFixed(2);
-    const endSec = (parseInt(rangeEnd.value) / 30).toFixed(2);
+    // 記録時のタイムスタンプから秒数を表示 (端末のfpsに依存しない)
+    const startSec = frameTimeSec(parseInt(rangeStart.value)).toFixed(2);
+    const endSec = frameTimeSec(parseInt(rangeEnd.value)).toFixed(2);
 
     startFrameText.textContent = `${startSec}s`; // 表示例: 0.50s
     endFrameText.textContent = `${endSec}s`;     // 表示例: 2.10s
+
+    scheduleViewer3dUpdate();
+
+    // 選択中の打撃があれば、スライダーでの微調整を反映
+    const segment = strikeSegments[selectedSegmentIndex];
+    if (segment) {
+        segment.start = parseInt(rangeStart.value);
+        segment.end = parseInt(rangeEnd.value);
+        updateSegmentChip(selectedSegmentIndex);
+    }
+
+    // ドラッグ中は続く setPlayhead がタイムラインを描き直す
+    if (isDragging) return;
+    updateQualityInfo(parseInt(rangeStart.value), parseInt(rangeEnd.value));
+    updateRangeAnalysis();
+    drawTimeline();
+}
+// 先頭フレームからの経過秒数
+function frameTimeSec(index) {
+    if (!poseHistory[index]) return 0;
+    return (poseHistory[index].time - poseHistory[0].time) / 1000;
+}
+// トリム範囲のランドマーク信頼度 (隠れて推測されたフレームが多ければ警告)
+function updateQualityInfo(start, end) {
+    const quality = poseQualityAnalyzer.summarize(poseQualityAnalyzer.assess(poseHistory.slice(start, end + 1)));
+    const percent = Math.round(quality.unreliable_ratio * 100);
+    if (quality.warning) {
+        const hidden = Object.keys(quality.unreliable_landmarks).join(', ');
+        qualityInfo.textContent = `⚠️ 信頼度の低いフレームが ${percent}% あります (${hidden})。短い区間のみ補間されます`;
+        qualityInfo.className = 'mt-2 text-xs text-yellow-400';
+    } else {
+        qualityInfo.textContent = `品質スコア ${Math.round(quality.score * 100)} / 信頼度の低いフレーム ${percent}%`;
+        qualityInfo.className = 'mt-2 text-xs text-gray-400';
+    }
+}
+rangeStart.addEventListener('input', () => { updateSliderUI(true); setPlayhead(parseInt(rangeStart.value)); });
+rangeEnd.addEventListener('input', () => { updateSliderUI(true); setPlayhead(parseInt(rangeEnd.value)); });
+rangeStart.addEventListener('change', () => updateSliderUI());
+rangeEnd.addEventListener('change', () => updateSliderUI());
+
+// ==========================================
+// タイムライン (速度グラフ・頂点・再生位置)
+// ==========================================
+// 再生位置を移動してプレビューを描く (表示とタイムラインは renderPreviewFrame で更新する)
+function setPlayhead(index) {
+    if (poseHistory.length === 0) return;
+    playheadIndex = Math.min(poseHistory.length - 1, Math.max(0, index));
+    drawPreviewFrame(playheadIndex);
+}
+function updatePlayheadUI() {
+    playheadText.textContent = `F${playheadIndex} / ${frameTimeSec(playheadIndex).toFixed(2)}s`;
+    drawTimeline();
+    if (isViewer3d) skeletonViewer.show(playheadIndex);
 }
-rangeStart.addEventListener('input', () => { updateSliderUI(); drawPreviewFrame(parseInt(rangeStart.value)); });
-rangeEnd.addEventListener('input', () => { updateSliderUI(); drawPreviewFrame(parseInt(rangeEnd.value)); });
+
+// テイク全体の手足の速度 (身長が変わったら計算し直す)
+function updateSpeedCurves() {
+    speedCurves = fingerprintPipeline.calculateSpeedCurves(poseHistory, parseInt(heightInput.value) || 170);
+}
+// トリム範囲の頂点 (生成時の apex_frame と同じ計算)・運動連鎖・バランス
+function updateRangeAnalysis() {
+    const start = parseInt(rangeStart.value);
+    const end = parseInt(rangeEnd.value);
+    const range = poseHistory.slice(start, end + 1);
+    if (range.length < 2) {
+        timelineApex = null;
+        updateKineticChainInfo(null);
+        updateBalanceInfo(null);
+        return;
+    }
+    const metrics = fingerprintPipeline.calculateMetrics(range, parseInt(heightInput.value) || 170);
+    timelineApex = { index: start + metrics.apex_frame, part: metrics.active_part };
+    updateKineticChainInfo(fingerprintPipeline.calculateKineticChain(range, metrics));
+    updateBalanceInfo(fingerprintPipeline.calculateBalance(range, metrics, fingerprintPipeline.getFollowingFrames(poseHistory, end, false)));
+}
+// 重心が足の支持基底面から外れた量と、頂点からの立ち直り時間
+function updateBalanceInfo(balance) {
+    if (!balance) {
+        balanceInfo.textContent = '';
+        return;
+    }
+    const excursion = Math.round(balance.max_cog_excursion_m * 100);
+    const recovery = balance.recovered === null ? '構えに戻ったかは判定できません (記録が頂点の直後で終わっています)'
+        : balance.recovered ? `${balance.recovery_time_sec.toFixed(2)}s で構えに復帰` : '構えに戻っていません';
+    if (balance.loss_events.length > 0 || balance.recovered === false) {
+        const lost = balance.loss_events.map(e => `${(frameTimeSec(parseInt(rangeStart.value) + e.start)).toFixed(2)}s`).join(', ');
+        balanceInfo.textContent = `⚠️ バランス: 重心が足元から最大 ${excursion}cm 外れています${lost ? ` (${lost})` : ''}。${recovery}`;
+        balanceInfo.className = 'mt-1 text-xs text-yellow-400';
+    } else {
+        balanceInfo.textContent = `バランス: 重心の外れ 最大 ${excursion}cm / ${recovery}`;
+        balanceInfo.className = 'mt-1 text-xs text-gray-400';
+    }
+}
+// 主動作の運動連鎖 (腰→肩→手足 の順に速度のピークが来ているか)
+function updateKineticChainInfo(chain) {
+    if (!chain) {
+        kineticInfo.textContent = '';
+        return;
+    }
+    const labels = { pelvis: '腰', torso: '肩', ...PART_LABELS };
+    const order = chain.sequence.map(name => labels[name]).join('→');
+    if (chain.issues.length > 0) {
+        kineticInfo.textContent = `⚠️ ${chain.issues.map(issue => issue.message).join(' / ')} (${order})`;
+        kineticInfo.className = 'mt-1 text-xs text-yellow-400';
+    } else {
+        const toMs = (sec) => Math.round(sec * 1000);
+        kineticInfo.textContent = `運動連鎖 ${order} (腰→肩 ${toMs(chain.lags.pelvis_to_torso_sec)}ms / 肩→${labels[chain.extremity.part]} ${toMs(chain.lags.torso_to_extremity_sec)}ms)`;
+        kineticInfo.className = 'mt-1 text-xs text-gray-400';
+    }
+}
+
+function drawTimeline() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round((timelineCanvas.clientWidth || 300) * dpr);
+    const height = Math.round((timelineCanvas.clientHeight || 80) * dpr);
+    if (timelineCanvas.width !== width) timelineCanvas.width = width;
+    if (timelineCanvas.height !== height) timelineCanvas.height = height;
+    timelineCtx.clearRect(0, 0, width, height);
+
+    const count = poseHistory.length;
+    if (count < 2) return;
+    const xAt = (i) => (i / (count - 1)) * width;
+
+    // トリム範囲
+    const start = parseInt(rangeStart.value);
+    const end = parseInt(rangeEnd.value);
+    timelineCtx.fillStyle = 'rgba(59, 130, 246, 0.2)';
+    timelineCtx.fillRect(xAt(start), 0, xAt(end) - xAt(start), height);
+
+    // 手足ごとの速度 (頂点の部位を太く描く)
+    if (speedCurves) {
+        const maxSpeed = Object.values(speedCurves).reduce((max, curve) =>
+            curve.reduce((m, v) => (v !== null && v > m ? v : m), max), 1);
+        const top = 14 * dpr;
+        Object.keys(speedCurves).forEach(part => {
+            timelineCtx.strokeStyle = TIMELINE_COLORS[part];
+            timelineCtx.lineWidth = (timelineApex && timelineApex.part === part ? 2 : 1) * dpr;
+            timelineCtx.beginPath();
+            let penDown = false;
+            speedCurves[part].forEach((speed, i) => {
+                // 時間が進んでいない・異常値のフレームは線を切る
+                if (speed === null) { penDown = false; return; }
+                const y = height - (speed / maxSpeed) * (height - top);
+                if (penDown) timelineCtx.lineTo(xAt(i), y);
+                else timelineCtx.moveTo(xAt(i), y);
+                penDown = true;
+            });
+            timelineCtx.stroke();
+        });
+        timelineCtx.fillStyle = '#9CA3AF';
+        timelineCtx.font = `${10 * dpr}px monospace`;
+        timelineCtx.fillText(`${maxSpeed.toFixed(1)} m/s`, 4 * dpr, 11 * dpr);
+    }
+
+    // 頂点
+    if (timelineApex) {
+        const x = xAt(timelineApex.index);
+        timelineCtx.strokeStyle = '#FDE047';
+        timelineCtx.lineWidth = 1 * dpr;
+        timelineCtx.setLineDash([4 * dpr, 3 * dpr]);
+        timelineCtx.beginPath();
+        timelineCtx.moveTo(x, 0);
+        timelineCtx.lineTo(x, height);
+        timelineCtx.stroke();
+        timelineCtx.setLineDash([]);
+        timelineCtx.fillStyle = '#FDE047';
+        timelineCtx.font = `${10 * dpr}px monospace`;
+        timelineCtx.fillText('APEX', Math.min(x + 3 * dpr, width - 30 * dpr), 11 * dpr);
+    }
+
+    // 再生位置
+    const x = xAt(playheadIndex);
+    timelineCtx.strokeStyle = '#FFFFFF';
+    timelineCtx.lineWidth = 2 * dpr;
+    timelineCtx.beginPath();
+    timelineCtx.moveTo(x, 0);
+    timelineCtx.lineTo(x, height);
+    timelineCtx.stroke();
+}
+
+// 凡例 (部位名と線の色)
+timelineLegend.innerHTML = Object.keys(TIMELINE_COLORS).map(part =>
+    `<span class="flex items-center gap-1"><span class="inline-block w-3 h-0.5" style="background:${TIMELINE_COLORS[part]}"></span>${PART_LABELS[part]}</span>`
+).join('');
+
+// タイムラインをタップ・ドラッグして再生位置を動かす
+function seekTimeline(e) {
+    const rect = timelineCanvas.getBoundingClientRect();
+    if (rect.width === 0) return;
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setPlayhead(Math.round(ratio * (poseHistory.length - 1)));
+}
+timelineCanvas.addEventListener('pointerdown', (e) => {
+    stopPreviewPlayback();
+    isDraggingPlayhead = true;
+    timelineCanvas.setPointerCapture(e.pointerId);
+    seekTimeline(e);
+});
+timelineCanvas.addEventListener('pointermove', (e) => { if (isDraggingPlayhead) seekTimeline(e); });
+timelineCanvas.addEventListener('pointerup', () => { isDraggingPlayhead = false; });
+timelineCanvas.addEventListener('pointercancel', () => { isDraggingPlayhead = false; });
+
+function stepPlayhead(delta) {
+    stopPreviewPlayback();
+    setPlayhead(playheadIndex + delta);
+}
+stepBackBtn.addEventListener('click', () => stepPlayhead(-1));
+stepForwardBtn.addEventListener('click', () => stepPlayhead(1));
+// 編集画面を開いている間は ←/→ キーでもコマ送り
+document.addEventListener('keydown', (e) => {
+    if (editModal.classList.contains('hidden')) return;
+    if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
+    if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        stepPlayhead(e.key === 'ArrowLeft' ? -1 : 1);
+    }
+});
+jumpApexBtn.addEventListener('click', () => {
+    if (!timelineApex) return;
+    stopPreviewPlayback();
+    setPlayhead(timelineApex.index);
+});
+
+// 再生位置をトリムの開始・終了にする (生成に必要なフレーム数は残す)
+setStartBtn.addEventListener('click', () => {
+    rangeStart.value = Math.min(playheadIndex, parseInt(rangeEnd.value) - MIN_TRIM_GAP);
+    updateSliderUI();
+});
+setEndBtn.addEventListener('click', () => {
+    rangeEnd.value = Math.max(playheadIndex, parseInt(rangeStart.value) + MIN_TRIM_GAP);
+    updateSliderUI();
+});
+heightInput.addEventListener('change', () => {
+    if (editModal.classList.contains('hidden')) return;
+    updateSpeedCurves();
+    updateSliderUI();
+});
 
 function drawPreviewFrame(index) {
     if (!poseHistory[index]) return;
+    // 映像がある場合はシークしてから描く (seeked イベントで renderPreviewFrame)
+    if (!isPreviewPlaying && !isFilterCompare && hasVideoAt(index)) {
+        pendingPreviewIndex = index;
+        previewVideo.currentTime = frameVideoTime(index);
+        return;
+    }
+    renderPreviewFrame(index);
+}
+function renderPreviewFrame(index) {
     const frame = poseHistory[index];
-    previewCanvas.width = 300;
-    previewCanvas.height = 300 * (canvasElement.height / canvasElement.width);
+    playheadIndex = index;
+    updatePlayheadUI();
+    const hasVideo = !isFilterCompare && hasVideoAt(index);
+    const sourceWidth = hasVideo ? previewVideo.videoWidth : canvasElement.width;
+    const sourceHeight = hasVideo ? previewVideo.videoHeight : canvasElement.height;
+    previewCanvas.width = hasVideo ? 480 : 300;
+    previewCanvas.height = previewCanvas.width * (sourceHeight / sourceWidth);
     previewCtx.clearRect(0, 0, previewCanvas.width, previewCanvas.height);
+    if (isFilterCompare) {
+        drawFilterComparison(index);
+        return;
+    }
+    if (hasVideo) {
+        drawVideoFrame(previewCtx, previewVideo, previewCanvas.width, previewCanvas.height, isMirrorPreview);
+    }
     if (frame.screenPose) {
-        drawConnectors(previewCtx, frame.screenPose, POSE_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
-        drawLandmarks(previewCtx, frame.screenPose, {color: '#FF0000', lineWidth: 1});
+        const screenPose = isMirrorPreview ? fingerprintPipeline.mirrorScreenPose(frame.screenPose) : frame.screenPose;
+        drawConnectors(previewCtx, screenPose, POSE_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
+        drawLandmarks(previewCtx, screenPose, {color: '#FF0000', lineWidth: 1});
     }
+    if (isMirrorPreview) drawMirrorLabel();
 }
+
+// 映像を描く (mirrored なら左右反転)
+function drawVideoFrame(ctx, video, width, height, mirrored) {
+    ctx.save();
+    if (mirrored) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(video, 0, 0, width, height);
+    ctx.restore();
+}
+
+function drawMirrorLabel() {
+    previewCtx.fillStyle = '#FBBF24';
+    previewCtx.font = '10px monospace';
+    previewCtx.textAlign = 'right';
+    previewCtx.fillText('MIRROR', previewCanvas.width - 4, previewCanvas.height - 4);
+    previewCtx.textAlign = 'left';
+}
+// ==========================================
+// 平滑化 (One Euro Filter) の設定と比較プレビュー
+// ==========================================
+filterProfileSelect.addEventListener('change', () => {
+    fingerprintPipeline = new FingerprintPipeline({ filter: { profile: filterProfileSelect.value } });
+    updateViewer3d();
+    if (isFilterCompare) {
+        updateFilteredPreview();
+        drawPreviewFrame(playheadIndex);
+    }
+});
+
+filterCompareBtn.addEventListener('click', () => {
+    isFilterCompare = !isFilterCompare;
+    filterCompareBtn.classList.toggle('bg-blue-600', isFilterCompare);
+    filterCompareBtn.classList.toggle('bg-gray-700', !isFilterCompare);
+    if (isFilterCompare) updateFilteredPreview();
+    drawPreviewFrame(playheadIndex);
+});
+
+mirrorPreviewBtn.addEventListener('click', () => {
+    isMirrorPreview = !isMirrorPreview;
+    mirrorPreviewBtn.classList.toggle('bg-blue-600', isMirrorPreview);
+    mirrorPreviewBtn.classList.toggle('bg-gray-700', !isMirrorPreview);
+    updateViewer3d();
+    drawPreviewFrame(playheadIndex);
+});
+
+// ==========================================
+// 3Dプレビュー (ワールド座標 / 正規化後の骨格・重心・手足の軌跡)
+// ==========================================
+viewer3dBtn.addEventListener('click', () => {
+    isViewer3d = !isViewer3d;
+    viewer3dBtn.classList.toggle('bg-blue-600', isViewer3d);
+    viewer3dBtn.classList.toggle('bg-gray-700', !isViewer3d);
+    viewer3dPanel.classList.toggle('hidden', !isViewer3d);
+    updateViewer3d();
+});
+viewer3dMode.addEventListener('change', updateViewer3d);
+
+// スライダーの input ごとではなく、描画フレームごとに1回だけ作り直す (非表示なら何もしない)
+function scheduleViewer3dUpdate() {
+    if (!isViewer3d || viewer3dFrameRequest !== null) return;
+    viewer3dFrameRequest = requestAnimationFrame(() => {
+        viewer3dFrameRequest = null;
+        updateViewer3d();
+    });
+}
+
+// 3Dプレビューのフレームを作り直す (トリム範囲・平滑化・構え・左右反転が変わったとき)
+// 生: 記録したワールド座標 (m) と重心
+// 正規化後: 生成時と同じく、トリム範囲だけを ミラーリング → 補間 → 先頭からフィルタ → 正規化
+function updateViewer3d() {
+    if (!isViewer3d || poseHistory.length === 0) return;
+    const start = parseInt(rangeStart.value);
+    const end = parseInt(rangeEnd.value);
+    const engine = new NormalizationEngine({ profile: filterProfileSelect.value });
+    const mirrorLabel = isMirrorPreview ? ' / MIRROR' : '';
+
+    if (viewer3dMode.value === 'normalized') {
+        // 生成時はサウスポーをオーソドックスに揃える (左右反転プレビュー中は反対の構え用のデータ)
+        const mirrored = (getSelectedStance() === 'southpaw') !== isMirrorPreview;
+        const trimmed = poseHistory.slice(start, end + 1).map(frame => {
+            const pose = JSON.parse(JSON.stringify(frame.pose));
+            return { time: frame.time, pose: mirrored ? fingerprintPipeline.mirrorPose(pose) : pose };
+        });
+        const analyzer = fingerprintPipeline.qualityAnalyzer;
+        const filled = analyzer.fillGaps(trimmed, analyzer.assess(trimmed).gaps);
+        const frames = poseHistory.map((frame, i) => {
+            if (i < start || i > end) return null;
+            return engine.processPose(filled[i - start].pose, (frame.time - poseHistory[start].time) / 1000);
+        });
+        skeletonViewer.setFrames(frames, {
+            trailRange: [start, end],
+            label: `NORMALIZED (脊柱長 = 1)${mirrorLabel}`,
+            emptyLabel: 'トリム範囲外'
+        });
+    } else {
+        const cache = viewer3dRawCache;
+        if (!cache || cache.history !== poseHistory || cache.mirrored !== isMirrorPreview) {
+            const frames = poseHistory.map(frame => {
+                const pose = isMirrorPreview ? fingerprintPipeline.mirrorPose(JSON.parse(JSON.stringify(frame.pose))) : frame.pose;
+                return { pose: pose, cog: engine.calculateCOG(pose) };
+            });
+            viewer3dRawCache = { history: poseHistory, mirrored: isMirrorPreview, frames: frames };
+        }
+        skeletonViewer.setFrames(viewer3dRawCache.frames, { trailRange: [start, end], label: `RAW (m)${mirrorLabel}` });
+    }
+    skeletonViewer.show(playheadIndex);
+}
+
+// 選択中の設定でテイク全体のワールド座標をフィルタしておく (生成時と同じエンジン)
+function updateFilteredPreview() {
+    const engine = new NormalizationEngine({ profile: filterProfileSelect.value });
+    const startTime = poseHistory.length > 0 ? poseHistory[0].time : 0;
+    filteredPreview = poseHistory.map(frame => engine.applyFilter(frame.pose, (frame.time - startTime) / 1000));
+}
+
+// 左: 生データ / 右: フィルタ後 (ワールド座標を正面から投影)
+function drawFilterComparison(index) {
+    const raw = poseHistory[index].pose;
+    const filtered = filteredPreview[index];
+    drawWorldSkeleton(raw, 0.25, '#9CA3AF');
+    if (filtered) drawWorldSkeleton(filtered, 0.75, '#00FF00');
+    if (isMirrorPreview) drawMirrorLabel();
+
+    previewCtx.fillStyle = '#9CA3AF';
+    previewCtx.font = '10px monospace';
+    previewCtx.fillText('RAW', 4, 12);
+    previewCtx.fillText('FILTERED', previewCanvas.width / 2 + 4, 12);
+    previewCtx.strokeStyle = '#374151';
+    previewCtx.beginPath();
+    previewCtx.moveTo(previewCanvas.width / 2, 0);
+    previewCtx.lineTo(previewCanvas.width / 2, previewCanvas.height);
+    previewCtx.stroke();
+}
+
+// ワールド座標(m, 腰中点原点)を drawConnectors 用の 0-1 座標に変換して描画
+function drawWorldSkeleton(pose, centerX, color) {
+    const metersPerHeight = 2.2; // キャンバスの高さに収める身長の目安
+    const aspect = previewCanvas.height / previewCanvas.width;
+    if (isMirrorPreview) pose = fingerprintPipeline.mirrorPose(JSON.parse(JSON.stringify(pose)));
+    const projected = pose.map(p => ({
+        x: centerX + (p.x / metersPerHeight) * aspect,
+        y: 0.5 + p.y / metersPerHeight,
+        visibility: p.visibility
+    }));
+    drawConnectors(previewCtx, projected, POSE_CONNECTIONS, {color: color, lineWidth: 2});
+    drawLandmarks(previewCtx, projected, {color: '#FF0000', lineWidth: 1, radius: 1});
+}
+
 previewPlayBtn.addEventListener('click', () => {
-    if (isPreviewPlaying) { cancelAnimationFrame(previewAnimationId); isPreviewPlaying = false; previewPlayBtn.innerHTML = '<span class="material-icons-round text-4xl">play_arrow</span>'; }
-    else { isPreviewPlaying = true; previewPlayBtn.innerHTML = '<span class="material-icons-round text-4xl">pause</span>'; playPreviewLoop(); }
+    if (isPreviewPlaying) { stopPreviewPlayback(); }
+    else {
+        isPreviewPlaying = true;
+        previewPlayBtn.innerHTML = '<span class="material-icons-round text-4xl">pause</span>';
+        if (!isFilterCompare && hasVideoAt(parseInt(rangeEnd.value))) playPreviewVideoLoop();
+        else playPreviewLoop();
+    }
 });
+function stopPreviewPlayback() {
+    if (!isPreviewPlaying) return;
+    cancelAnimationFrame(previewAnimationId);
+    isPreviewPlaying = false;
+    previewVideo.pause();
+    previewPlayBtn.innerHTML = '<span class="material-icons-round text-4xl">play_arrow</span>';
+}
 function playPreviewLoop() {
     let current = parseInt(rangeStart.value);
     const end = parseInt(rangeEnd.value);
     const loop = () => {
         if (!isPreviewPlaying) return;
         drawPreviewFrame(current);
-        current++;
-        if (current > end) current = parseInt(rangeStart.value);
-        setTimeout(() => { previewAnimationId = requestAnimationFrame(loop); }, 33);
+        // 次のフレームまでの実時間だけ待つ (記録時と同じ速度で再生)
+        let delay = 33;
+        if (current < end) {
+            delay = poseHistory[current + 1].time - poseHistory[current].time;
+            current++;
+        } else {
+            current = parseInt(rangeStart.value);
+        }
+        setTimeout(() => { previewAnimationId = requestAnimationFrame(loop); }, Math.max(0, delay));
+    };
+    loop();
+}
+
+// ==========================================
+// 映像のプレビュー (録画した映像に骨格を重ねる)
+// ==========================================
+function loadPreviewVideo() {
+    previewVideo.pause();
+    if (previewVideoUrl) URL.revokeObjectURL(previewVideoUrl);
+    previewVideoUrl = null;
+    pendingPreviewIndex = -1;
+    previewVideo.removeAttribute('src');
+    if (currentVideo) {
+        previewVideoUrl = URL.createObjectURL(currentVideo.blob);
+        previewVideo.src = previewVideoUrl;
+    }
+    previewVideo.load();
+    clipExportRow.classList.toggle('hidden', !currentVideo);
+}
+// メタデータ読込後に、開いた時点のフレームを描き直す
+previewVideo.addEventListener('loadedmetadata', () => drawPreviewFrame(playheadIndex));
+previewVideo.addEventListener('seeked', () => {
+    if (!isPreviewPlaying && pendingPreviewIndex >= 0) renderPreviewFrame(pendingPreviewIndex);
+});
+
+// 記録フレームの映像内の時刻 (秒)。プリロール分は映像より前なので負になる
+function frameVideoTime(index) {
+    return (poseHistory[index].time - currentVideo.startTime) / 1000;
+}
+function hasVideoAt(index) {
+    if (!currentVideo || previewVideo.readyState < 1 || !poseHistory[index]) return false;
+    const t = frameVideoTime(index);
+    return t >= 0 && !(t > previewVideo.duration);
+}
+// 映像内の時刻に最も近い記録フレーム (二分探索)
+function videoTimeToFrame(sec) {
+    const time = currentVideo.startTime + sec * 1000;
+    let low = 0, high = poseHistory.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (poseHistory[mid].time < time) low = mid + 1;
+        else high = mid;
+    }
+    if (low > 0 && time - poseHistory[low - 1].time < poseHistory[low].time - time) low--;
+    return low;
+}
+// 映像を再生し、表示中の時刻のフレームの骨格を重ねる (トリム範囲でループ)
+function playPreviewVideoLoop() {
+    const startSec = Math.max(0, frameVideoTime(parseInt(rangeStart.value)));
+    const endSec = frameVideoTime(parseInt(rangeEnd.value));
+    previewVideo.currentTime = startSec;
+    previewVideo.play().catch(err => console.error(err));
+    const loop = () => {
+        if (!isPreviewPlaying) return;
+        if (previewVideo.currentTime >= endSec || previewVideo.ended) {
+            previewVideo.currentTime = startSec;
+            previewVideo.play().catch(err => console.error(err));
+        }
+        renderPreviewFrame(videoTimeToFrame(previewVideo.currentTime));
+        previewAnimationId = requestAnimationFrame(loop);
     };
     loop();
 }
 
+// トリム範囲の映像を骨格付きで書き出す (range.mirrored なら左右反転したデータに合わせて反転)
+async function renderClip(range) {
+    stopPreviewPlayback();
+    const fromSec = Math.max(0, frameVideoTime(range.start));
+    const toSec = frameVideoTime(range.end);
+    return VideoCapture.exportClip(previewVideo, fromSec, toSec, (ctx, timeSec, width, height) => {
+        if (range.mirrored) drawVideoFrame(ctx, previewVideo, width, height, true);
+        const frame = poseHistory[videoTimeToFrame(timeSec)];
+        if (!frame.screenPose) return;
+        const screenPose = range.mirrored ? fingerprintPipeline.mirrorScreenPose(frame.screenPose) : frame.screenPose;
+        drawConnectors(ctx, screenPose, POSE_CONNECTIONS, {color: '#00FF00', lineWidth: 4});
+        drawLandmarks(ctx, screenPose, {color: '#FF0000', lineWidth: 2});
+    });
+}
+
+function clipExtension(blob) {
+    return (blob.type || '').includes('mp4') ? 'mp4' : 'webm';
+}
+
+// トリム範囲のワールド座標を CSV / BVH で書き出す (平滑化は選択中の設定)
+exportCsvBtn.addEventListener('click', () => downloadTakeExport('csv'));
+exportBvhBtn.addEventListener('click', () => downloadTakeExport('bvh'));
+function downloadTakeExport(format) {
+    const range = { start: parseInt(rangeStart.value), end: parseInt(rangeEnd.value) };
+    const exporter = new TakeExporter({ filter: { profile: filterProfileSelect.value } });
+    let text;
+    try {
+        text = format === 'csv' ? exporter.toCSV(poseHistory, range) : exporter.toBVH(poseHistory, range);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    const name = techNameInput.value.trim() || 'take';
+    const type = format === 'csv' ? 'text/csv' : 'text/plain';
+    downloadBlob(new Blob([text], { type: type }), `${name}.${format}`);
+}
+
+downloadClipBtn.addEventListener('click', async () => {
+    if (!currentVideo || outputRanges.length === 0) { alert("先に「JSON生成」をしてください"); return; }
+    const name = techNameInput.value.trim() || 'clip';
+    downloadClipBtn.disabled = true;
+    try {
+        for (let i = 0; i < outputRanges.length; i++) {
+            const blob = await renderClip(outputRanges[i]);
+            const suffix = outputRanges.length > 1 ? `-${i + 1}` : '';
+            downloadBlob(blob, `${name}${suffix}.${clipExtension(blob)}`);
+        }
+    } catch (err) {
+        console.error(err);
+        alert(`クリップの書き出しに失敗しました: ${err.message}`);
+    } finally {
+        downloadClipBtn.disabled = false;
+    }
+});
+
 // ==========================================
 // ★ Logic: Analyze & Generate JSON
 // ==========================================
@@ -230,46 +1369,46 @@ generateBtn.addEventListener('click', () => {
     const name = techNameInput.value.trim();
     if (!name) { alert("技の名前を入力してください"); return; }
 
-    const start = parseInt(rangeStart.value);
-    const end = parseInt(rangeEnd.value);
-    const trimmedData = poseHistory.slice(start, end + 1);
-    if (trimmedData.length < 5) { alert("選択範囲が短すぎます"); return; }
-
-    // 設定取得
-    const isSouthpaw = Array.from(stanceInputs).find(r => r.checked).value === 'southpaw';
-    const heightCm = parseInt(heightInput.value) || 170;
-
-    // 1. サウスポーならミラーリング + 前処理
-    const processedHistory = trimmedData.map(frame => {
-        let pose = JSON.parse(JSON.stringify(frame.pose)); // Deep Copy
-        if (isSouthpaw) {
-            pose = mirrorPose(pose);
-        }
-        return {
-            time: frame.time,
-            pose: pose
-        };
-    });
-
-    // 2. Metrics計算 (正規化前に、実測値として計算)
-    const metrics = calculateMetrics(processedHistory, heightCm);
+    const range = { start: parseInt(rangeStart.value), end: parseInt(rangeEnd.value) };
+    const outputs = buildOutputs(name, range.start, range.end);
+    if (!outputs) return;
+    showOutput(outputs.length === 1 ? outputs[0] : outputs, outputs.map(output => getOutputRange(output, range)));
+});
 
-    // 3. 正規化 & 100フレーム化
-    const v3Data = generateV3Data(processedHistory);
+// 指定範囲から出力JSON(オブジェクト)を作る (範囲が短すぎる場合は null)
+// 「両方を生成」がオンなら、右利き用・サウスポー用の2件を返す
+function buildOutputs(name, start, end) {
+    try {
+        return createOutputs(name, start, end);
+    } catch (err) {
+        alert(err.message);
+        return null;
+    }
+}
 
-    // 4. 出力生成
-    const output = {
+// buildOutputs の本体 (生成できなければ例外。一括生成では打撃ごとに受け止めて続ける)
+function createOutputs(name, start, end) {
+    const options = {
+        ...getPipelineOptions(),
         name: name,
-        performer: performerName.value.trim() || "Unknown",
-        stance_original: isSouthpaw ? "southpaw" : "orthodox",
-        height_cm: heightCm,
-        created_at: new Date().toISOString(),
-        version: "3.1",
-        metrics: metrics,   // ★速度・時間データ
-        frames: v3Data.length,
-        fingerprint: v3Data // ★形状データ
+        performer: performerName.value.trim(),
+        start: start,
+        end: end
     };
+    return dualStanceToggle.checked
+        ? fingerprintPipeline.buildBothStances(poseHistory, options)
+        : [fingerprintPipeline.build(poseHistory, options)];
+}
+
+// 出力JSONのトリム範囲 (左右反転したデータならクリップも反転する)
+function getOutputRange(output, range) {
+    return { start: range.start, end: range.end, mirrored: output.fingerprint_stance !== output.stance_original };
+}
 
+// 出力(単体 or 一括生成の配列)をプレビューに表示し、コピー・送信を有効にする
+// ranges: 各出力のトリム範囲 (クリップ書き出し用)
+function showOutput(output, ranges) {
+    outputRanges = ranges;
     resultArea.classList.remove('hidden');
     jsonPreview.textContent = JSON.stringify(output, null, 2);
     copyJsonBtn.disabled = false;
@@ -278,169 +1417,482 @@ generateBtn.addEventListener('click', () => {
         sendToPcBtn.disabled = false;
         sendToPcBtn.classList.remove('opacity-50', 'cursor-not-allowed');
     }
-});
-
-// サウスポーをオーソドックスに変換 (X軸反転 & 左右入れ替え)
-function mirrorPose(pose) {
-    // 1. X座標を反転
-    pose.forEach(pt => pt.x = pt.x * -1);
-
-    // 2. 左右のIDを入れ替え (MediaPipe Pose Landmarks)
-    const swapPairs = [
-        [11, 12], [13, 14], [15, 16], // 腕
-        [17, 18], [19, 20], [21, 22], // 手
-        [23, 24], [25, 26], [27, 28], // 足
-        [29, 30], [31, 32]            // 足先
-    ];
-
-    swapPairs.forEach(([left, right]) => {
-        const temp = pose[left];
-        pose[left] = pose[right];
-        pose[right] = temp;
-    });
-    return pose;
-}
-
-// 統計情報計算（行き・帰りの分離 & 自動パーツ判定版）
-function calculateMetrics(history, heightCm) {
-    if (history.length < 5) return {};
-
-    // 1. 基準となる「体の中心（腰の中点）」を全フレームで計算しておく
-    // 2. 「一番大きく動いたパーツ」を特定する
-    const parts = [
-        { id: 19, name: 'left_hand' },
-        { id: 20, name: 'right_hand' },
-        { id: 31, name: 'left_foot' },
-        { id: 32, name: 'right_foot' }
-    ];
-
-    let maxExtension = 0;
-    let activePartId = 20; // デフォルト右手
-    let activePartName = 'right_hand';
-    let apexFrameIndex = 0; // 最も伸びたフレーム番号
-
-    // 全パーツを走査して、最も「体幹から遠ざかった」パーツと、その瞬間を探す
-    parts.forEach(part => {
-        let localMaxDist = 0;
-        let localApexIndex = 0;
-
-        history.forEach((frame, i) => {
-            const hipCenter = getMidPoint(frame.pose[23], frame.pose[24]);
-            const limb = frame.pose[part.id];
-            // 腰からの距離
-            const dist = Math.sqrt(
-                Math.pow(limb.x - hipCenter.x, 2) +
-                Math.pow(limb.y - hipCenter.y, 2) +
-                Math.pow(limb.z - hipCenter.z, 2)
-            );
-
-            if (dist > localMaxDist) {
-                localMaxDist = dist;
-                localApexIndex = i;
-            }
-        });
+}
 
-        // このパーツがこれまでの候補より大きく動いていれば、これを「主動作」とする
-        // (ただし、足と手の距離感は違うので、単純比較だと足が勝ちやすいが、
-        //  動作の変化量(レンジ)を見るべき。今回は簡易的に「最大距離」で判定)
-        if (localMaxDist > maxExtension) {
-            maxExtension = localMaxDist;
-            activePartId = part.id;
-            activePartName = part.name;
-            apexFrameIndex = localApexIndex;
-        }
-    });
+// 指定範囲から metrics と fingerprint を計算する (範囲が短すぎる場合は null)
+// fingerprintStance: 出力する構え (省略時は orthodox)
+function buildFingerprintData(start, end, fingerprintStance) {
+    try {
+        return fingerprintPipeline.process(poseHistory, { ...getPipelineOptions(), start, end, fingerprintStance });
+    } catch (err) {
+        alert(err.message);
+        return null;
+    }
+}
 
-    // 3. 行き(Outbound)と帰り(Return)の速度を計算
-    const heightScale = heightCm / 175.0; // 身長補正
+function getPipelineOptions() {
+    return {
+        stance: getSelectedStance(),
+        heightCm: parseInt(heightInput.value) || 170
+    };
+}
 
-    const speedOut = calculateMaxSpeedInRange(history, 0, apexFrameIndex, activePartId, heightScale);
-    const speedRet = calculateMaxSpeedInRange(history, apexFrameIndex, history.length - 1, activePartId, heightScale);
+// ==========================================
+// テイクライブラリ (IndexedDB への自動保存)
+// ==========================================
+function getSelectedStance() {
+    return Array.from(stanceInputs).find(r => r.checked).value;
+}
 
-    const startTime = history[0].time;
-    const endTime = history[history.length - 1].time;
-    const durationSec = (endTime - startTime) / 1000;
+// 新しいテイクは判定した構えを選択しておく (preselect)
+function detectTakeStance(preselect) {
+    detectedStance = stanceDetector.detect(poseHistory);
+    if (preselect && detectedStance.stance && detectedStance.confidence >= STANCE_MIN_CONFIDENCE) {
+        stanceInputs.forEach(r => { r.checked = (r.value === detectedStance.stance); });
+    }
+    renderStanceHint();
+}
+function renderStanceHint() {
+    if (!detectedStance || !detectedStance.stance) {
+        stanceHint.textContent = '';
+        return;
+    }
+    const label = detectedStance.stance === 'southpaw' ? "サウスポー" : "右利き";
+    const percent = Math.round(detectedStance.confidence * 100);
+    if (detectedStance.stance !== getSelectedStance() && detectedStance.confidence >= STANCE_MIN_CONFIDENCE) {
+        stanceHint.textContent = `⚠️ 映像では${label}に見えます (確信度 ${percent}%)`;
+        stanceHint.className = 'mt-1 text-[10px] text-yellow-400';
+    } else {
+        stanceHint.textContent = `自動判定: ${label} (確信度 ${percent}%)`;
+        stanceHint.className = 'mt-1 text-[10px] text-gray-400';
+    }
+}
+stanceInputs.forEach(r => r.addEventListener('change', renderStanceHint));
+stanceInputs.forEach(r => r.addEventListener('change', updateViewer3d));
 
+function collectTakeMeta() {
     return {
-        duration_sec: parseFloat(durationSec.toFixed(2)),
-        active_part: activePartName,           // 自動判定されたパーツ
-        max_speed_outbound: speedOut,          // 行きの速さ (m/s)
-        max_speed_return: speedRet,            // 帰りの速さ (m/s)
-        apex_frame: apexFrameIndex             // 折り返し地点 (0-100のインデックスではなく、元配列のインデックス)
+        name: techNameInput.value.trim(),
+        performer: performerName.value.trim(),
+        stance: getSelectedStance(),
+        heightCm: parseInt(heightInput.value) || 170
     };
 }
 
-// 指定範囲内での最大速度を求めるヘルパー関数
-function calculateMaxSpeedInRange(history, startIndex, endIndex, partId, scale) {
-    let maxSpeed = 0;
-    if (endIndex <= startIndex) return 0;
+async function saveCurrentTake() {
+    if (poseHistory.length === 0) return;
+    try {
+        currentTakeId = await takeLibrary.saveTake(poseHistory, { ...collectTakeMeta(), source: sourceMode });
+        if (currentVideo) await takeLibrary.saveVideo(currentTakeId, currentVideo);
+    } catch (err) {
+        console.error(err);
+        statusMsg.textContent = `⚠️ ${poseHistory.length} Frames (端末への保存に失敗)`;
+    }
+}
+
+function updateCurrentTakeMeta() {
+    if (currentTakeId === null) return;
+    takeLibrary.updateTake(currentTakeId, collectTakeMeta()).catch(err => console.error(err));
+}
+[techNameInput, performerName, heightInput, ...stanceInputs].forEach(el => el.addEventListener('change', updateCurrentTakeMeta));
+
+libraryBtn.addEventListener('click', openLibrary);
+closeLibraryBtn.addEventListener('click', () => libraryModal.classList.add('hidden'));
+
+async function openLibrary() {
+    libraryModal.classList.remove('hidden');
+    await renderTakeList();
+}
+
+async function renderTakeList() {
+    let takes = [];
+    try {
+        takes = await takeLibrary.listTakes();
+    } catch (err) {
+        console.error(err);
+        alert("ライブラリを開けませんでした");
+    }
+    takeList.innerHTML = '';
+    libraryEmpty.classList.toggle('hidden', takes.length > 0);
 
-    for (let i = startIndex + 1; i <= endIndex; i++) {
-        const dt = (history[i].time - history[i-1].time) / 1000;
-        if (dt <= 0) continue;
+    takes.forEach(take => {
+        const item = document.createElement('li');
+        item.className = "bg-gray-800 rounded-lg p-3 border border-gray-700 flex items-center gap-3";
 
-        const p1 = history[i-1].pose[partId];
-        const p2 = history[i].pose[partId];
+        const info = document.createElement('div');
+        info.className = "flex-1 min-w-0";
+        const title = document.createElement('p');
+        title.className = "font-bold text-gray-200 truncate";
+        title.textContent = take.name || "(無題)";
+        const detail = document.createElement('p');
+        detail.className = "text-xs text-gray-400 font-mono";
+        const stanceLabel = take.stance === 'southpaw' ? "サウスポー" : "右利き";
+        detail.textContent = `${new Date(take.createdAt).toLocaleString()} / ${take.frameCount}F / ${take.durationSec.toFixed(2)}s / ${take.performer || "-"} / ${stanceLabel}${take.hasVideo ? " / 🎥" : ""}`;
+        info.append(title, detail);
 
-        const dist = Math.sqrt(
-            Math.pow(p2.x - p1.x, 2) +
-            Math.pow(p2.y - p1.y, 2) +
-            Math.pow(p2.z - p1.z, 2)
+        item.append(
+            info,
+            createTakeAction('edit', "編集", () => openTakeFromLibrary(take.id)),
+            createTakeAction('drive_file_rename_outline', "名前変更", () => renameTake(take)),
+            createTakeAction('download', "生データ書き出し", () => downloadTake(take)),
+            createTakeAction('delete', "削除", () => deleteTake(take))
         );
+        takeList.appendChild(item);
+    });
+}
+
+function createTakeAction(icon, label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = "text-gray-400 hover:text-white p-1";
+    btn.title = label;
+    btn.innerHTML = `<span class="material-icons-round">${icon}</span>`;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+async function openTakeFromLibrary(id) {
+    try {
+        const [take, frames, video] = await Promise.all([takeLibrary.getTake(id), takeLibrary.getFrames(id), takeLibrary.getVideo(id)]);
+        if (!take || !frames) { alert("テイクが見つかりません"); return; }
+
+        poseHistory = frames;
+        currentTakeId = id;
+        currentVideo = video || null;
+        techNameInput.value = take.name;
+        performerName.value = take.performer;
+        heightInput.value = take.heightCm;
+        stanceInputs.forEach(r => { r.checked = (r.value === take.stance); });
+        detectTakeStance(false); // 保存済みの選択はそのまま (食い違えば警告のみ)
+
+        libraryModal.classList.add('hidden');
+        showTakeControls();
+        statusMsg.textContent = `💾 ${poseHistory.length} Frames`;
+        if (poseHistory.length < 10) { alert("データが短すぎます"); return; }
+        openEditor();
+    } catch (err) {
+        console.error(err);
+        alert("テイクの読み込みに失敗しました");
+    }
+}
+
+async function renameTake(take) {
+    const name = prompt("新しい技名", take.name);
+    if (name === null) return;
+    try {
+        await takeLibrary.updateTake(take.id, { name: name.trim() });
+    } catch (err) {
+        console.error(err);
+        alert("名前を変更できませんでした: " + err.message);
+        return;
+    }
+    if (take.id === currentTakeId) techNameInput.value = name.trim();
+    await renderTakeList();
+}
+
+async function downloadTake(take) {
+    let data;
+    try {
+        data = await takeLibrary.exportTake(take.id);
+    } catch (err) {
+        console.error(err);
+        alert("テイクを書き出せませんでした: " + err.message);
+        return;
+    }
+    if (!data) { alert("テイクが見つかりません"); return; }
+    downloadJson(data, `take-${take.id}${take.name ? '-' + take.name : ''}.json`);
+}
+
+function downloadJson(data, filename) {
+    downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    // click() 直後に解放するとダウンロードが始まらないブラウザがあるので、少し待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+}
+
+async function deleteTake(take) {
+    if (!confirm(`「${take.name || "(無題)"}」を削除しますか？`)) return;
+    try {
+        await takeLibrary.deleteTake(take.id);
+    } catch (err) {
+        console.error(err);
+        alert("テイクを削除できませんでした: " + err.message);
+        return;
+    }
+    if (take.id === currentTakeId) currentTakeId = null;
+    await renderTakeList();
+}
 
-        // 瞬間速度 (m/s)
-        const speed = (dist * scale) / dt;
+// ==========================================
+// 打撃の自動検出 & 一括生成
+// ==========================================
+detectStrikesBtn.addEventListener('click', () => {
+    strikeSegments = strikeSegmenter.detect(poseHistory).map(seg => ({ ...seg, selected: true }));
+    selectedSegmentIndex = -1;
+    renderSegments();
+    if (strikeSegments.length > 0) selectSegment(0);
+});
 
-        // ノイズ除去: 人体の限界を超えた異常値(例: 20m/s以上)はカットするフィルタを入れるとより良い
-        if (speed < 25.0 && speed > maxSpeed) {
-            maxSpeed = speed;
+function clearSegments() {
+    strikeSegments = [];
+    selectedSegmentIndex = -1;
+    segmentList.innerHTML = '';
+    segmentSummary.textContent = '';
+    batchGenerateBtn.classList.add('hidden');
+}
+
+function renderSegments() {
+    segmentList.innerHTML = '';
+    segmentSummary.textContent = strikeSegments.length > 0 ? `${strikeSegments.length}件検出` : "打撃が見つかりませんでした";
+    batchGenerateBtn.classList.toggle('hidden', strikeSegments.length === 0);
+
+    strikeSegments.forEach((seg, i) => {
+        const chip = document.createElement('div');
+        chip.className = "flex items-center gap-1 bg-gray-800 rounded px-2 py-1 border border-gray-700 text-xs";
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = seg.selected;
+        check.addEventListener('change', () => { seg.selected = check.checked; });
+        const label = document.createElement('button');
+        label.className = "font-mono text-gray-300";
+        label.addEventListener('click', () => selectSegment(i));
+        chip.append(check, label);
+        segmentList.appendChild(chip);
+        updateSegmentChip(i);
+    });
+}
+
+function updateSegmentChip(index) {
+    const chip = segmentList.children[index];
+    const seg = strikeSegments[index];
+    if (!chip || !seg) return;
+    chip.classList.toggle('border-blue-500', index === selectedSegmentIndex);
+    chip.lastChild.textContent = `#${index + 1} ${PART_LABELS[seg.part] || seg.part} ${frameTimeSec(seg.start).toFixed(2)}-${frameTimeSec(seg.end).toFixed(2)}s`;
+}
+
+// 打撃をトリム範囲としてスライダーに反映
+function selectSegment(index) {
+    const seg = strikeSegments[index];
+    const previous = selectedSegmentIndex;
+    selectedSegmentIndex = -1; // スライダー反映中に範囲を上書きしないように
+    rangeStart.value = seg.start;
+    rangeEnd.value = seg.end;
+    updateSliderUI();
+    selectedSegmentIndex = index;
+    updateSegmentChip(previous);
+    updateSegmentChip(index);
+    drawPreviewFrame(seg.apex);
+}
+
+batchGenerateBtn.addEventListener('click', () => {
+    const name = techNameInput.value.trim();
+    if (!name) { alert("技の名前を入力してください"); return; }
+
+    const targets = strikeSegments.filter(seg => seg.selected);
+    if (targets.length === 0) { alert("打撃が選択されていません"); return; }
+
+    const outputs = [];
+    const ranges = [];
+    const skipped = []; // 短すぎて生成できなかった打撃の番号 (他の打撃の生成は続ける)
+    const failed = [];  // 生成中にエラーになった打撃 "#番号: 理由" (同上)
+    for (const seg of targets) {
+        const number = strikeSegments.indexOf(seg) + 1;
+        if (seg.end - seg.start + 1 < fingerprintPipeline.minFrames) {
+            skipped.push(number);
+            continue;
+        }
+        let built;
+        try {
+            built = createOutputs(`${name} #${number}`, seg.start, seg.end);
+        } catch (err) {
+            console.error(err);
+            failed.push(`#${number}: ${err.message}`);
+            continue;
         }
+        outputs.push(...built);
+        ranges.push(...built.map(output => getOutputRange(output, seg)));
     }
-    return parseFloat(maxSpeed.toFixed(2));
+    const notes = [];
+    if (skipped.length > 0) {
+        notes.push(`範囲が短すぎる打撃は生成しませんでした (${fingerprintPipeline.minFrames} frames 未満): ${skipped.map(n => `#${n}`).join(', ')}`);
+    }
+    if (failed.length > 0) {
+        notes.push(`${failed.length} 件の打撃は生成に失敗しました:\n${failed.join('\n')}`);
+    }
+    if (outputs.length > 0) showOutput(outputs, ranges);
+    if (notes.length > 0) alert(notes.join('\n\n'));
+});
+
+// ==========================================
+// 手本との比較 (お試しモード)
+// ==========================================
+loadReferenceBtn.addEventListener('click', () => referenceFileInput.click());
+referenceFileInput.addEventListener('change', async () => {
+    const file = referenceFileInput.files[0];
+    referenceFileInput.value = '';
+    if (!file) return;
+    try {
+        // 検証 & 旧バージョンからの移行 (不正な形式なら例外)
+        const data = FingerprintSchema.load(JSON.parse(await file.text()));
+        setReference(data, file.name);
+    } catch (err) {
+        console.error(err);
+        alert("手本JSONの読み込みに失敗しました: " + err.message);
+    }
+});
+
+function setReference(data, label) {
+    referenceData = data;
+    referenceName.textContent = data.name ? `${data.name} (${label})` : label;
+    compareBtn.disabled = false;
+    compareBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+    compareResult.classList.add('hidden');
 }
 
-// 腰の中点を計算するヘルパー
-function getMidPoint(p1, p2) {
-    return {
-        x: (p1.x + p2.x) / 2,
-        y: (p1.y + p2.y) / 2,
-        z: (p1.z + p2.z) / 2
-    };
+compareBtn.addEventListener('click', () => {
+    if (!referenceData) return;
+    // 手本が左右反転したデータなら、こちらも同じ向きに揃えてから比べる
+    const data = buildFingerprintData(parseInt(rangeStart.value), parseInt(rangeEnd.value), referenceData.fingerprint_stance);
+    if (!data) return;
+
+    let result;
+    try {
+        result = fingerprintComparator.compare(referenceData, data.fingerprint);
+    } catch (err) {
+        console.error(err);
+        alert("比較に失敗しました: " + err.message);
+        return;
+    }
+    renderCompareResult(result, describeFilterMismatch(referenceData.filter, data.filter));
+});
+
+// 平滑化の設定が手本と違えば、その旨の注記を返す (同じなら null)
+function describeFilterMismatch(referenceFilter, attemptFilter) {
+    if (!referenceFilter) return `手本に平滑化の設定が記録されていません (この比較は ${attemptFilter.profile} で計算しています)`;
+    if (JSON.stringify(referenceFilter) === JSON.stringify(attemptFilter)) return null;
+    return `平滑化の設定が手本と違います (手本: ${referenceFilter.profile} / この比較: ${attemptFilter.profile})`;
 }
 
-function generateV3Data(history) {
-    const processed = [];
-    history.forEach((frame, i) => {
-        const timeSec = i * (1/30);
-        // Poseは既にミラーリング済み
-        const features = normalizationEngine.process(frame.pose, timeSec);
-        if(features) processed.push(features);
+function renderCompareResult(result, filterNote) {
+    compareResult.classList.remove('hidden');
+    compareScore.textContent = result.score;
+    compareGroups.innerHTML = '';
+    Object.values(result.groups).forEach(group => {
+        const row = document.createElement('div');
+        row.className = "flex items-center gap-2 text-xs";
+        const label = document.createElement('span');
+        label.className = "w-20 text-gray-400 shrink-0";
+        label.textContent = group.label;
+        const bar = document.createElement('div');
+        bar.className = "flex-1 h-2 bg-gray-800 rounded overflow-hidden";
+        const fill = document.createElement('div');
+        fill.className = "h-full bg-purple-500";
+        fill.style.width = `${group.score}%`;
+        bar.appendChild(fill);
+        const value = document.createElement('span');
+        value.className = "w-8 text-right font-mono text-gray-300";
+        value.textContent = group.score;
+        row.append(label, bar, value);
+        compareGroups.appendChild(row);
     });
-    return resampleTimeSeries(processed, 100);
+    if (result.skipped_groups.length > 0) {
+        const note = document.createElement('p');
+        note.className = "text-xs text-gray-500";
+        note.textContent = `${result.skipped_groups.map(g => g.label).join('・')}: 旧形式 (v3.1 以前) のデータのため比較していません`;
+        compareGroups.appendChild(note);
+    }
+    if (filterNote) {
+        const note = document.createElement('p');
+        note.className = "text-xs text-yellow-400";
+        note.textContent = `⚠️ ${filterNote}`;
+        compareGroups.appendChild(note);
+    }
 }
 
-function resampleTimeSeries(data, targetLen) {
-    if (data.length === 0) return [];
-    if (data.length === 1) return new Array(targetLen).fill(data[0]);
-    const resampled = [];
-    const step = (data.length - 1) / (targetLen - 1);
-    for (let i = 0; i < targetLen; i++) {
-        const originalIndex = i * step;
-        const indexLow = Math.floor(originalIndex);
-        const indexHigh = Math.min(Math.ceil(originalIndex), data.length - 1);
-        const ratio = originalIndex - indexLow;
-        const frameLow = data[indexLow];
-        const frameHigh = data[indexHigh];
-        const newFrame = frameLow.map((val, idx) => val + (frameHigh[idx] - val) * ratio);
-        resampled.push(newFrame);
+// ==========================================
+// PCの保存データ (tools/server.js のカタログAPI)
+// ==========================================
+openPcCatalogBtn.addEventListener('click', openPcCatalog);
+closePcCatalogBtn.addEventListener('click', () => pcCatalogModal.classList.add('hidden'));
+
+async function openPcCatalog() {
+    pcCatalogModal.classList.remove('hidden');
+    await renderPcCatalog();
+}
+
+async function renderPcCatalog() {
+    let items = [];
+    try {
+        const response = await fetch('/api/fingerprints');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        items = result.fingerprints;
+    } catch (err) {
+        console.error(err);
+        alert("PCに接続できませんでした。\nサーバーが起動しているか確認してください。");
+    }
+    pcCatalogList.innerHTML = '';
+    pcCatalogEmpty.classList.toggle('hidden', items.length > 0);
+
+    items.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = "bg-gray-800 rounded-lg p-3 border border-gray-700 flex items-center gap-3";
+
+        const info = document.createElement('div');
+        info.className = "flex-1 min-w-0";
+        const title = document.createElement('p');
+        title.className = "font-bold text-gray-200 truncate";
+        title.textContent = entry.name || entry.filename;
+        const detail = document.createElement('p');
+        detail.className = "text-xs text-gray-400 font-mono truncate";
+        const created = entry.created_at ? new Date(entry.created_at).toLocaleString() : "-";
+        detail.textContent = `${entry.filename} / ${created} / ${entry.performer || "-"} / v${entry.version || "?"}${entry.clip ? " / 🎥" : ""}`;
+        info.append(title, detail);
+
+        item.append(
+            info,
+            createTakeAction('compare_arrows', "手本に使う", () => loadPcFingerprint(entry)),
+            createTakeAction('delete', "削除", () => deletePcFingerprint(entry))
+        );
+        pcCatalogList.appendChild(item);
+    });
+}
+
+async function loadPcFingerprint(entry) {
+    try {
+        const response = await fetch(`/api/fingerprints/${encodeURIComponent(entry.filename)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        setReference(FingerprintSchema.load(data), entry.filename);
+        pcCatalogModal.classList.add('hidden');
+    } catch (err) {
+        console.error(err);
+        alert("読み込みに失敗しました: " + err.message);
     }
-    return resampled;
+}
+
+async function deletePcFingerprint(entry) {
+    if (!confirm(`PCの「${entry.filename}」を削除しますか？`)) return;
+    try {
+        const response = await fetch(`/api/fingerprints/${encodeURIComponent(entry.filename)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+    } catch (err) {
+        console.error(err);
+        alert("削除に失敗しました: " + err.message);
+    }
+    await renderPcCatalog();
 }
 
 closeEditBtn.addEventListener('click', () => {
     editModal.classList.add('hidden');
-    cancelAnimationFrame(previewAnimationId);
-    isPreviewPlaying = false;
+    stopPreviewPlayback();
 });
 copyJsonBtn.addEventListener('click', () => {
     const text = jsonPreview.textContent;
@@ -462,27 +1914,52 @@ if (sendToPcBtn) {
 
         try {
             const data = JSON.parse(jsonText);
+            // 一括生成の場合は配列なので1件ずつ送る
+            const items = Array.isArray(data) ? data : [data];
 
             // ボタンを一時的に無効化
             sendToPcBtn.disabled = true;
             sendToPcBtn.textContent = "送信中...";
 
-            // PCのサーバーにPOST送信
-            // (ngrok経由でも、相対パス '/api/...' でサーバーに届きます)
-            const response = await fetch('/api/save-fingerprint', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
+            const filenames = [];
+            for (const [i, item] of items.entries()) {
+                // PCのサーバーにPOST送信
+                // (ngrok経由でも、相対パス '/api/...' でサーバーに届きます)
+                const response = await fetch('/api/save-fingerprint', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(item)
+                });
+
+                const result = await response.json();
 
-            const result = await response.json();
+                if (!result.success) {
+                    alert("保存エラー: " + result.error);
+                    return;
+                }
+                filenames.push(result.filename);
 
-            if (result.success) {
-                alert(`PCに保存しました！\nファイル名: ${result.filename}`);
-            } else {
-                alert("保存エラー: " + result.error);
+                // 動画クリップを fingerprint JSON と同じ名前で保存
+                if (exportClipToggle.checked && currentVideo && outputRanges[i]) {
+                    sendToPcBtn.textContent = "クリップ書き出し中...";
+                    const clip = await renderClip(outputRanges[i]);
+                    const clipResponse = await fetch(`/api/save-clip?fingerprint=${encodeURIComponent(result.filename)}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': clip.type || 'video/webm' },
+                        body: clip
+                    });
+                    const clipResult = await clipResponse.json();
+                    if (!clipResult.success) {
+                        alert("クリップの保存エラー: " + clipResult.error);
+                        return;
+                    }
+                    filenames.push(clipResult.filename);
+                    sendToPcBtn.textContent = "送信中...";
+                }
             }
 
+            alert(`PCに保存しました！\nファイル名: ${filenames.join(', ')}`);
+
         } catch (e) {
             console.error(e);
             alert("送信に失敗しました。\n通信環境を確認してください。");
@@ -0,0 +1,416 @@
+/**
+ * schema.js
+ * Fingerprint Schema (出力JSONの形式定義・検証・バージョン移行)
+ *
+ * 役割:
+ * 1. 特徴量24チャンネルの名前付き定義 (extractFeaturesV3 の並び順、出力JSONの channels)
+ * 2. バージョンごとの JSON Schema (draft-07)
+ * 3. スキーマに基づく検証 (外部ライブラリなし、ブラウザ/Node 両対応)
+ * 4. 旧バージョンから現行バージョンへの移行
+ */
+
+const FINGERPRINT_CURRENT_VERSION = '3.2';
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const SchemaNormalizationEngine = (typeof NormalizationEngine !== 'undefined')
+    ? NormalizationEngine
+    : require('./normalization.js');
+
+// 特徴量チャンネル (fingerprint の各フレーム = この順の要素)
+// 定義本体は extractFeaturesV3 と同じ normalization.js にある
+// group は比較エンジン (comparison.js) のグループ別スコアに使う
+const FINGERPRINT_FEATURE_CHANNELS = new SchemaNormalizationEngine().getFeatureChannels();
+
+class FingerprintSchema {
+    /**
+     * 指定バージョンの JSON Schema を返す
+     * @param {String} version - '3.0' | '3.1' | '3.2'
+     * @returns {Object} JSON Schema (draft-07)
+     */
+    static getJsonSchema(version = FINGERPRINT_CURRENT_VERSION) {
+        const featureCount = FINGERPRINT_FEATURE_CHANNELS.length;
+        const schema = {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            $id: `kick-recorder/fingerprint-${version}`,
+            title: `Kick Recorder Fingerprint v${version}`,
+            type: 'object',
+            required: ['name', 'version', 'fingerprint'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                performer: { type: 'string' },
+                stance_original: { enum: ['orthodox', 'southpaw'] },
+                height_cm: { type: 'number', exclusiveMinimum: 0 },
+                created_at: { type: 'string' },
+                version: { const: version },
+                fingerprint: {
+                    type: 'array',
+                    minItems: 1,
+                    items: { type: 'array', minItems: featureCount, maxItems: featureCount, items: { type: 'number' } }
+                }
+            }
+        };
+
+        if (version === '3.0') return schema;
+
+        // 3.1: metrics (速度・時間) と frames を追加
+        schema.required = ['name', 'performer', 'stance_original', 'height_cm', 'created_at', 'version', 'metrics', 'frames', 'fingerprint'];
+        schema.properties.metrics = {
+            type: 'object',
+            properties: {
+                duration_sec: { type: 'number', minimum: 0 },
+                active_part: { enum: ['left_hand', 'right_hand', 'left_foot', 'right_foot'] },
+                max_speed_outbound: { type: 'number', minimum: 0 },
+                max_speed_return: { type: 'number', minimum: 0 },
+                apex_frame: { type: 'integer', minimum: 0 }
+            }
+        };
+        schema.properties.frames = { type: 'integer', minimum: 1 };
+        if (version === '3.1') return schema;
+
+        // 3.2: hip_rotation が実測値 (テイク開始時からの骨盤の回旋) になった
+        // 旧バージョンから移行したデータは、値の無いチャンネルを missing_channels に記録する (比較から除外)
+        schema.properties.missing_channels = {
+            type: 'array',
+            items: { enum: FINGERPRINT_FEATURE_CHANNELS.map(ch => ch.name) }
+        };
+        // 特徴量チャンネル記述子 (任意。あれば fingerprint の各要素の意味を表す)
+        schema.properties.channels = {
+            type: 'array',
+            minItems: featureCount,
+            maxItems: featureCount,
+            items: {
+                type: 'object',
+                required: ['name', 'unit', 'normalization'],
+                properties: {
+                    index: { type: 'integer', minimum: 0 },
+                    name: { type: 'string', minLength: 1 },
+                    group: { type: 'string' },
+                    unit: { enum: ['spine_length', 'deg'] },
+                    landmarks: { type: 'array', items: { type: 'integer', minimum: 0 } },
+                    landmark_names: { type: 'array', items: { type: 'string' } },
+                    normalization: { type: 'string', minLength: 1 },
+                    description: { type: 'string' }
+                }
+            }
+        };
+        // metrics の追加項目 (打撃ごとの値・運動連鎖・バランス・関節角度)
+        Object.assign(schema.properties.metrics.properties, {
+            // 打撃した手足ごとの値 (任意。頂点の早い順)
+            strikes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['part', 'start_frame', 'apex_frame', 'end_frame'],
+                    properties: {
+                        part: { enum: ['left_hand', 'right_hand', 'left_foot', 'right_foot'] },
+                        start_frame: { type: 'integer', minimum: 0 },
+                        apex_frame: { type: 'integer', minimum: 0 },
+                        end_frame: { type: 'integer', minimum: 0 },
+                        start_sec: { type: 'number', minimum: 0 },
+                        apex_sec: { type: 'number', minimum: 0 },
+                        end_sec: { type: 'number', minimum: 0 },
+                        max_speed_outbound: { type: 'number', minimum: 0 },
+                        max_speed_return: { type: 'number', minimum: 0 },
+                        extension: { type: 'number', minimum: 0 }
+                    }
+                }
+            },
+            strike_order: { type: 'array', items: { enum: ['left_hand', 'right_hand', 'left_foot', 'right_foot'] } },
+            // 運動連鎖 (任意。kinetic-chain.js で主動作の出だし〜頂点を解析した結果)
+            kinetic_chain: {
+                type: 'object',
+                required: ['in_sequence', 'flags'],
+                properties: {
+                    pelvis: { type: 'object' },
+                    torso: { type: 'object' },
+                    extremity: { type: 'object' },
+                    lags: {
+                        type: 'object',
+                        properties: {
+                            pelvis_to_torso_sec: { type: 'number' },
+                            torso_to_extremity_sec: { type: 'number' }
+                        }
+                    },
+                    sequence: { type: 'array', items: { type: 'string' } },
+                    in_sequence: { type: 'boolean' },
+                    flags: { type: 'array', items: { enum: ['arm_only', 'leg_only', 'out_of_sequence'] } }
+                }
+            },
+            // バランス (任意。balance.js で重心と支持基底面から評価した結果)
+            balance: {
+                type: 'object',
+                required: ['max_cog_excursion_m', 'recovered'],
+                properties: {
+                    min_margin_m: { type: 'number' },
+                    max_cog_excursion_m: { type: 'number', minimum: 0 },
+                    outside_ratio: { type: 'number', minimum: 0 },
+                    loss_events: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['start', 'end'],
+                            properties: {
+                                start: { type: 'integer', minimum: 0 },
+                                end: { type: 'integer', minimum: 0 },
+                                start_sec: { type: 'number', minimum: 0 },
+                                duration_sec: { type: 'number', minimum: 0 },
+                                max_outside_m: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    },
+                    recovery_time_sec: { type: ['number', 'null'] },
+                    recovered: { type: ['boolean', 'null'] } // null: 記録が短く判定できない
+                }
+            },
+            // 関節角度 (任意。biomechanics.js で頂点の値を計算。脚の項目は足の打撃のみ)
+            kicking_leg: { enum: ['left', 'right'] },
+            knee_extension_deg: { type: 'number', minimum: 0 },
+            hip_flexion_deg: { type: 'number' },
+            hip_abduction_deg: { type: 'number' },
+            chamber_height: { type: 'number' },
+            strike_height: { type: 'number' },
+            pivot_rotation_deg: { type: 'number' },
+            torso_lean_deg: { type: 'number', minimum: 0 },
+            // 角度の推移 (fingerprint と同じ時間軸)
+            angle_series: {
+                type: 'object',
+                properties: {
+                    torso_lean: { type: 'array', items: { type: 'number' } },
+                    knee_extension: { type: 'array', items: { type: 'number' } },
+                    hip_flexion: { type: 'array', items: { type: 'number' } },
+                    hip_abduction: { type: 'array', items: { type: 'number' } },
+                    pivot_rotation: { type: 'array', items: { type: 'number' } }
+                }
+            }
+        });
+        // ランドマークの信頼度 (任意。quality.js で補間・評価した結果)
+        schema.properties.quality = {
+            type: 'object',
+            required: ['score', 'frame_scores'],
+            properties: {
+                score: { type: 'number', minimum: 0 },
+                unreliable_frames: { type: 'integer', minimum: 0 },
+                unreliable_ratio: { type: 'number', minimum: 0 },
+                unreliable_landmarks: { type: 'object' },
+                interpolated_gaps: { type: 'integer', minimum: 0 },
+                flagged_gaps: { type: 'integer', minimum: 0 },
+                warning: { type: 'boolean' },
+                gaps: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['landmark', 'start', 'end', 'interpolated'],
+                        properties: {
+                            landmark: { type: 'string', minLength: 1 },
+                            start: { type: 'integer', minimum: 0 },
+                            end: { type: 'integer', minimum: 0 },
+                            duration_sec: { type: 'number', minimum: 0 },
+                            interpolated: { type: 'boolean' }
+                        }
+                    }
+                },
+                frame_scores: { type: 'array', items: { type: 'number', minimum: 0 } }
+            }
+        };
+        // 映像から判定した構え (任意。stance.js。判定できなければ stance は null)
+        schema.properties.stance_detected = {
+            type: 'object',
+            required: ['stance', 'confidence'],
+            properties: {
+                stance: { enum: ['orthodox', 'southpaw', null] },
+                confidence: { type: 'number', minimum: 0 }
+            }
+        };
+        // fingerprint・metrics の左右の向き (任意。無ければ orthodox。stance_original と違えば左右反転したデータ)
+        schema.properties.fingerprint_stance = { enum: ['orthodox', 'southpaw'] };
+        // 平滑化 (One Euro Filter) の設定 (任意。normalization.js。無ければ不明)
+        const filterParams = {
+            type: 'object',
+            required: ['minCutoff', 'beta', 'dCutoff'],
+            properties: {
+                minCutoff: { type: 'number', minimum: 0 },
+                beta: { type: 'number', minimum: 0 },
+                dCutoff: { type: 'number', minimum: 0 }
+            }
+        };
+        schema.properties.filter = {
+            type: 'object',
+            required: ['profile', 'torso', 'extremity'],
+            properties: {
+                profile: { type: 'string', minLength: 1 },
+                torso: filterParams,
+                extremity: filterParams,
+                landmarks: { type: 'object' }
+            }
+        };
+        return schema;
+    }
+
+    static getSupportedVersions() {
+        return Object.keys(FINGERPRINT_MIGRATIONS).concat(FINGERPRINT_CURRENT_VERSION);
+    }
+
+    /**
+     * 出力JSONを、その version のスキーマで検証する
+     * @param {Object} data
+     * @returns {Object} { valid, errors: [String], version }
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, errors: ['JSONオブジェクトではありません'], version: null };
+        }
+        const version = data.version;
+        if (!this.getSupportedVersions().includes(version)) {
+            return { valid: false, errors: [`未対応の version です: ${version}`], version: version };
+        }
+
+        const errors = [];
+        this.validateNode(data, this.getJsonSchema(version), '', errors);
+
+        // JSON Schema で表せない項目間の整合性
+        if (data.frames !== undefined && Array.isArray(data.fingerprint) && data.frames !== data.fingerprint.length) {
+            errors.push('frames: fingerprint の長さと一致しません');
+        }
+        if (data.quality && Array.isArray(data.quality.frame_scores) && Array.isArray(data.fingerprint)
+            && data.quality.frame_scores.length !== data.fingerprint.length) {
+            errors.push('quality.frame_scores: fingerprint の長さと一致しません');
+        }
+        if (data.metrics && data.metrics.angle_series && Array.isArray(data.fingerprint)) {
+            Object.entries(data.metrics.angle_series).forEach(([name, series]) => {
+                if (Array.isArray(series) && series.length !== data.fingerprint.length) {
+                    errors.push(`metrics.angle_series.${name}: fingerprint の長さと一致しません`);
+                }
+            });
+        }
+        if (Array.isArray(data.channels)) {
+            data.channels.forEach((ch, i) => {
+                const expected = FINGERPRINT_FEATURE_CHANNELS[i];
+                if (expected && ch && ch.name !== expected.name) {
+                    errors.push(`channels[${i}].name: ${expected.name} ではありません`);
+                }
+            });
+        }
+        return { valid: errors.length === 0, errors: errors, version: version };
+    }
+
+    /**
+     * 旧バージョンの出力JSONを移行する (元のオブジェクトは変更しない)
+     * @param {Object} data
+     * @param {String} targetVersion
+     * @returns {Object} 移行後のJSON
+     */
+    static migrate(data, targetVersion = FINGERPRINT_CURRENT_VERSION) {
+        const versions = this.getSupportedVersions();
+        const from = versions.indexOf(data.version);
+        const to = versions.indexOf(targetVersion);
+        if (from < 0) throw new Error(`未対応の version です: ${data.version}`);
+        if (to < 0) throw new Error(`未対応の version です: ${targetVersion}`);
+        if (from > to) throw new Error(`${data.version} から ${targetVersion} へは戻せません`);
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        for (let i = from; i < to; i++) {
+            migrated = FINGERPRINT_MIGRATIONS[versions[i]](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * 検証して現行バージョンに揃える (読み込み時の入口)
+     * @param {Object} data
+     * @returns {Object} 現行バージョンのJSON
+     */
+    static load(data) {
+        const result = this.validate(data);
+        if (!result.valid) throw new Error(result.errors.join(' / '));
+        return this.migrate(data);
+    }
+
+    // --- JSON Schema (使っているキーワードのみ) の検証 ---
+    static validateNode(value, schema, path, errors) {
+        const label = path || '(root)';
+
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${label}: ${JSON.stringify(schema.const)} ではありません`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label}: ${schema.enum.join(' / ')} のいずれかではありません`);
+            return;
+        }
+        if (schema.type && !this.checkType(value, schema.type)) {
+            errors.push(`${label}: ${[].concat(schema.type).join(' / ')} ではありません`);
+            return;
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: ${schema.minimum} 未満です`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${label}: ${schema.exclusiveMinimum} より大きくありません`);
+        }
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${label}: 空です`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${label}: 要素数が ${schema.minItems} 未満です`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${label}: 要素数が ${schema.maxItems} を超えています`);
+            if (schema.items) {
+                value.forEach((item, i) => this.validateNode(item, schema.items, `${path}[${i}]`, errors));
+            }
+        } else if (value && typeof value === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path ? path + '.' : ''}${key}: ありません`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, subSchema]) => {
+                if (value[key] !== undefined) {
+                    this.validateNode(value[key], subSchema, path ? `${path}.${key}` : key, errors);
+                }
+            });
+        }
+    }
+
+    static checkType(value, type) {
+        if (Array.isArray(type)) return type.some(t => this.checkType(value, t));
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'null': return value === null;
+            default: return true;
+        }
+    }
+}
+
+FingerprintSchema.CURRENT_VERSION = FINGERPRINT_CURRENT_VERSION;
+FingerprintSchema.FEATURE_CHANNELS = FINGERPRINT_FEATURE_CHANNELS;
+
+// バージョン移行 (キー: 移行元バージョン → 次のバージョンへ変換する関数)
+// 並び順がそのまま移行の順番になる
+const FINGERPRINT_MIGRATIONS = {
+    // 3.0 → 3.1: 特徴量は同じ。metrics (速度・時間) と frames が追加された
+    '3.0': (data) => ({
+        performer: 'Unknown',
+        stance_original: 'orthodox',
+        height_cm: 170,
+        created_at: new Date(0).toISOString(),
+        ...data,
+        version: '3.1',
+        metrics: data.metrics || {},
+        frames: data.fingerprint.length
+    }),
+    // 3.1 → 3.2: hip_rotation (常に0) は元の腰の向きが残っていないため復元できない
+    '3.1': (data) => ({
+        ...data,
+        version: '3.2',
+        missing_channels: [...new Set([...(data.missing_channels || []), 'hip_rotation'])]
+    })
+};
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.FingerprintSchema = FingerprintSchema;
+} else if (typeof module !== 'undefined') {
+    module.exports = FingerprintSchema;
+}
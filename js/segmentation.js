@@ -0,0 +1,194 @@
+/**
+ * segmentation.js
+ * Strike Segmentation (連続録画からの打撃の自動切り出し)
+ *
+ * 役割:
+ * 1. 手足(19, 20, 31, 32)の「腰中点から見た位置」と速度をフレームごとに計算
+ * 2. 構え位置(基準)から大きく離れた区間を打撃として検出 (頂点 = 最も離れたフレーム)
+ * 3. 速度が静止レベルに落ちるところまで前後に広げ、トリム範囲として返す
+ * 4. 他の打撃に釣られて同時に動いただけの手足 (蹴りのときのガードの腕の振りなど) を除く
+ *
+ * 蹴りは腰からの距離(脚の長さ)がほぼ変わらず足先の向きだけ変わるため、
+ * 距離そのものではなく「構え位置からの変位」で判定する。
+ * 距離・速度はワールド座標(m)の実測値で判定する。
+ */
+
+class StrikeSegmenter {
+    constructor(options = {}) {
+        this.parts = options.parts || [
+            { id: 19, name: 'left_hand', onset: 0.15 },
+            { id: 20, name: 'right_hand', onset: 0.15 },
+            { id: 31, name: 'left_foot', onset: 0.25 },
+            { id: 32, name: 'right_foot', onset: 0.25 }
+        ];
+        this.releaseRatio = options.releaseRatio !== undefined ? options.releaseRatio : 0.5; // onset の何割まで戻ったら打撃終了とみなすか
+        this.minPeakSpeed = options.minPeakSpeed !== undefined ? options.minPeakSpeed : 1.5; // 打撃とみなす最低ピーク速度 (m/s)
+        this.restSpeed = options.restSpeed !== undefined ? options.restSpeed : 0.5; // 静止とみなす速度 (m/s)
+        this.padding = options.padding !== undefined ? options.padding : 3; // 前後に足すフレーム数
+        // 構え位置の求め方: 'take' = テイク全体の中央値 (連続録画) | 'start' = 先頭 restFrames フレーム (トリム済みの1動作)
+        this.restFrom = options.restFrom || 'take';
+        this.restFrames = options.restFrames !== undefined ? options.restFrames : 5;
+        // 他の手足の打撃の範囲内で、頂点がこの時間差以内の小さい動きは釣られた動きとみなす (秒)
+        this.syncSec = options.syncSec !== undefined ? options.syncSec : 0.15;
+        this.maxSpeed = 25.0; // 異常値カット (calculateMaxSpeedInRange と同じ)
+    }
+
+    /**
+     * @param {Array} history - [{time, pose}] (pose はワールド座標)
+     * @returns {Array} [{start, end, apex, part, peak_extension, peak_speed}] (history のインデックス)
+     */
+    detect(history) {
+        if (history.length < 5) return [];
+
+        let strikes = [];
+        this.parts.forEach(part => {
+            strikes = strikes.concat(this.detectPart(history, part));
+        });
+        strikes = strikes.filter(s => !this.isPassiveMotion(s, strikes, history));
+        strikes.sort((a, b) => a.apex - b.apex || b.peak_speed - a.peak_speed);
+
+        // 隣り合う打撃の範囲が重なる場合は、頂点間の中点で分ける (コンビネーション対策)
+        // 分けた後の範囲は頂点の順に並ぶので、直前の打撃の end がそれまでで最も後ろになる
+        // 頂点が同じフレームの打撃は分けられないので、速いほうだけを残す
+        const resolved = [];
+        strikes.forEach(cur => {
+            const prev = resolved[resolved.length - 1];
+            if (prev && cur.start <= prev.end) {
+                if (cur.apex <= prev.apex) return;
+                const mid = Math.floor((prev.apex + cur.apex) / 2);
+                prev.end = Math.max(prev.apex, mid);
+                cur.start = Math.min(cur.apex, mid + 1);
+            }
+            resolved.push(cur);
+        });
+        return resolved;
+    }
+
+    detectPart(history, part) {
+        const offsets = history.map(frame => this.getHipOffset(frame.pose, part.id));
+        const speed = this.getSpeedSeries(history, part.id);
+
+        // 構え位置: 構えている時間が最も長いと仮定して各軸の中央値をとる
+        // (トリム済みのテイクは動作の割合が大きいので、構えから始まる先頭フレームを使う。
+        //  ただし先頭で手足が動いている = 動作の途中からトリムしたときは、テイク全体の中央値に戻す)
+        const startsAtRest = Math.max(...speed.slice(1, this.restFrames)) <= this.restSpeed;
+        const restOffsets = this.restFrom === 'start' && startsAtRest ? offsets.slice(0, this.restFrames) : offsets;
+        const rest = {
+            x: this.median(restOffsets.map(o => o.x)),
+            y: this.median(restOffsets.map(o => o.y)),
+            z: this.median(restOffsets.map(o => o.z))
+        };
+        const dist = this.smooth(offsets.map(o => Math.sqrt(
+            Math.pow(o.x - rest.x, 2) +
+            Math.pow(o.y - rest.y, 2) +
+            Math.pow(o.z - rest.z, 2)
+        )));
+        const onset = part.onset;
+        const release = onset * this.releaseRatio;
+
+        const strikes = [];
+        let active = null;
+        for (let i = 0; i < dist.length; i++) {
+            const ext = dist[i];
+            if (!active) {
+                if (ext > onset) active = { first: i, apex: i, peak: ext };
+            } else {
+                if (ext > active.peak) { active.apex = i; active.peak = ext; }
+                if (ext < release || i === dist.length - 1) {
+                    active.last = i;
+                    strikes.push(active);
+                    active = null;
+                }
+            }
+        }
+
+        return strikes
+            .map(s => {
+                const start = this.findRest(speed, s.first, -1);
+                const end = this.findRest(speed, s.last, 1);
+                const peakSpeed = Math.max(...speed.slice(start, end + 1));
+                return {
+                    start: Math.max(0, start - this.padding),
+                    end: Math.min(history.length - 1, end + this.padding),
+                    apex: s.apex,
+                    part: part.name,
+                    peak_extension: parseFloat(s.peak.toFixed(3)),
+                    peak_speed: parseFloat(peakSpeed.toFixed(2))
+                };
+            })
+            .filter(s => s.peak_speed >= this.minPeakSpeed);
+    }
+
+    // 他の手足の打撃の範囲内に、ほぼ同時に頂点が来る小さい動きか (打撃に釣られた腕の振りなど)
+    // 大きさは手足ごとの onset に対する比で比べる
+    isPassiveMotion(strike, strikes, history) {
+        const ratio = (s) => s.peak_extension / this.parts.find(p => p.name === s.part).onset;
+        return strikes.some(other =>
+            other !== strike &&
+            other.part !== strike.part &&
+            strike.apex >= other.start && strike.apex <= other.end &&
+            Math.abs(history[strike.apex].time - history[other.apex].time) / 1000 <= this.syncSec &&
+            ratio(other) > ratio(strike)
+        );
+    }
+
+    // index から direction 方向に進み、速度が静止レベルになるフレームを返す
+    findRest(speed, index, direction) {
+        let i = index;
+        while (i + direction >= 0 && i + direction < speed.length && speed[i] > this.restSpeed) {
+            i += direction;
+        }
+        return i;
+    }
+
+    // --- Helpers ---
+    // 腰中点から見た手足の位置
+    getHipOffset(pose, partId) {
+        const limb = pose[partId];
+        return {
+            x: limb.x - (pose[23].x + pose[24].x) / 2,
+            y: limb.y - (pose[23].y + pose[24].y) / 2,
+            z: limb.z - (pose[23].z + pose[24].z) / 2
+        };
+    }
+
+    // フレームごとの瞬間速度 (m/s)。先頭フレームは 0
+    getSpeedSeries(history, partId) {
+        const speeds = [0];
+        for (let i = 1; i < history.length; i++) {
+            const dt = (history[i].time - history[i - 1].time) / 1000;
+            const p1 = history[i - 1].pose[partId];
+            const p2 = history[i].pose[partId];
+            const dist = Math.sqrt(
+                Math.pow(p2.x - p1.x, 2) +
+                Math.pow(p2.y - p1.y, 2) +
+                Math.pow(p2.z - p1.z, 2)
+            );
+            const speed = dt > 0 ? dist / dt : 0;
+            speeds.push(speed < this.maxSpeed ? speed : speeds[i - 1]);
+        }
+        return speeds;
+    }
+
+    // 3フレーム移動平均
+    smooth(values) {
+        return values.map((v, i) => {
+            const a = values[Math.max(0, i - 1)];
+            const c = values[Math.min(values.length - 1, i + 1)];
+            return (a + v + c) / 3;
+        });
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.StrikeSegmenter = StrikeSegmenter;
+} else if (typeof module !== 'undefined') {
+    module.exports = StrikeSegmenter;
+}
@@ -0,0 +1,167 @@
+/**
+ * setup-check.js
+ * Setup Check (撮影前の構図・カメラ設置の確認)
+ *
+ * 役割:
+ * 1. 必要な部位 (頭・肩・腰・膝・足) が見えているか
+ * 2. 全身がガイド枠 (guideOverlay) の内側に収まっているか
+ * 3. 撮影距離: 枠の高さに対する体の高さ (蹴り上げた足が収まる余白があるか)
+ * 4. カメラの傾き (画面上の体軸) と上下の角度 (ワールド座標の体軸)
+ * 5. 蹴りを横から撮れているか (腰・肩のラインとカメラの角度)
+ *
+ * 1, 2 は欠損データになるため録画を止める (block)、3〜5 は精度が落ちるため警告のみ (warn)。
+ * 画面座標は 0-1 (MediaPipe poseLandmarks)、ワールド座標は m (poseWorldLandmarks, y下向き)。
+ */
+
+class SetupChecker {
+    constructor(options = {}) {
+        this.visibilityThreshold = options.visibilityThreshold !== undefined ? options.visibilityThreshold : 0.5;
+        this.margin = options.margin !== undefined ? options.margin : 0.02;  // 枠の内側に取る余白 (画面比)
+        this.minHeightRatio = options.minHeightRatio !== undefined ? options.minHeightRatio : 0.45; // 体の高さ / 枠の高さ (これ未満は遠すぎ)
+        this.maxHeightRatio = options.maxHeightRatio !== undefined ? options.maxHeightRatio : 0.8; // これを超えると蹴り上げた足が枠から出る
+        this.maxTiltDeg = options.maxTiltDeg !== undefined ? options.maxTiltDeg : 12; // 画面上の体軸の傾き (カメラのロール)
+        this.maxPitchDeg = options.maxPitchDeg !== undefined ? options.maxPitchDeg : 20; // 体軸の前後の傾き (カメラの見下ろし・見上げ)
+        this.minSideAngleDeg = options.minSideAngleDeg !== undefined ? options.minSideAngleDeg : 45; // 腰・肩のラインとカメラの角度 (90 = 真横)
+        this.view = options.view || 'side';                   // 'side': 横からの撮影を求める | 'any'
+
+        // 見えていないと録画できない部位
+        this.requiredParts = options.requiredParts || [
+            { name: 'head', label: '頭', landmarks: [0] },
+            { name: 'shoulders', label: '肩', landmarks: [11, 12] },
+            { name: 'hips', label: '腰', landmarks: [23, 24] },
+            { name: 'knees', label: '膝', landmarks: [25, 26] },
+            { name: 'feet', label: '足', landmarks: [27, 28, 31, 32] }
+        ];
+    }
+
+    /**
+     * 1フレーム分の検出結果から撮影条件を判定する
+     * @param {Array} screenPose - poseLandmarks (0-1)。未検出なら null
+     * @param {Array} worldPose - poseWorldLandmarks (m)。無ければ角度の判定を省く
+     * @param {Object} options
+     * @param {Object} options.guideBox - ガイド枠 {left, top, right, bottom} (画面比 0-1, 既定: 画面全体)
+     * @param {Number} options.aspect - 映像の 幅 / 高さ (画面上の角度の計算に使う, 既定: 16/9)
+     * @returns {Object} { level: 'ok'|'warn'|'block', issues: [{code, level, message}], measurements }
+     */
+    check(screenPose, worldPose, options = {}) {
+        const box = options.guideBox || { left: 0, top: 0, right: 1, bottom: 1 };
+        const aspect = options.aspect || 16 / 9;
+        const issues = [];
+        const measurements = {};
+
+        if (!screenPose || screenPose.length < 33) {
+            issues.push({ code: 'no_person', level: 'block', message: '🧍 全身を映してください' });
+            return this.toResult(issues, measurements);
+        }
+
+        // 1. 必要な部位が見えているか
+        this.requiredParts.forEach(part => {
+            if (part.landmarks.some(i => !this.isVisible(screenPose[i]))) {
+                issues.push({ code: `hidden_${part.name}`, level: 'block', message: `⚠️ ${part.label}が見えません！` });
+            }
+        });
+
+        // 2. ガイド枠からのはみ出し (見えている点 + 頭頂の推定位置)
+        const headTop = this.estimateHeadTop(screenPose);
+        const points = screenPose.filter(pt => this.isVisible(pt)).concat([{ x: screenPose[0].x, y: headTop }]);
+        const outside = this.findOutsideEdges(points, box);
+        if (outside.length > 0) {
+            issues.push({
+                code: 'outside_guide',
+                level: 'block',
+                message: `⚠️ 枠の${outside.join('・')}にはみ出しています。${outside.includes('上') || outside.includes('下') ? 'カメラから離れてください' : '枠の中央に立ってください'}`
+            });
+        }
+
+        // 3. 撮影距離 (頭頂〜最も低い足の高さ / 枠の高さ)
+        const feetY = Math.max(...[27, 28, 29, 30, 31, 32].map(i => screenPose[i].y));
+        const heightRatio = (feetY - headTop) / (box.bottom - box.top);
+        measurements.height_ratio = parseFloat(heightRatio.toFixed(2));
+        if (heightRatio < this.minHeightRatio) {
+            issues.push({ code: 'too_far', level: 'warn', message: '↔️ 遠すぎます。もう少し近づいてください' });
+        } else if (heightRatio > this.maxHeightRatio && outside.length === 0) {
+            issues.push({ code: 'too_close', level: 'warn', message: '↔️ 近すぎます。蹴り上げた足が枠に収まるよう少し離れてください' });
+        }
+
+        // 4a. カメラの傾き: 足首の中点 → 肩の中点 が画面の垂直からどれだけ傾いているか
+        const ankleMid = this.getMidPoint(screenPose[27], screenPose[28]);
+        const shoulderMid = this.getMidPoint(screenPose[11], screenPose[12]);
+        const tilt = Math.atan2((shoulderMid.x - ankleMid.x) * aspect, ankleMid.y - shoulderMid.y) * (180 / Math.PI);
+        measurements.tilt_deg = parseFloat(tilt.toFixed(1));
+        if (Math.abs(tilt) > this.maxTiltDeg) {
+            issues.push({ code: 'camera_tilted', level: 'warn', message: `📐 カメラが約${Math.round(Math.abs(tilt))}°傾いています。水平に構えてください` });
+        }
+
+        if (worldPose && worldPose.length >= 33) {
+            // 4b. 上下の角度: 体軸の奥行き方向の傾き (上半身がカメラに近い = 見下ろし)
+            const wAnkleMid = this.getMidPoint(worldPose[27], worldPose[28]);
+            const wShoulderMid = this.getMidPoint(worldPose[11], worldPose[12]);
+            const pitch = Math.atan2(wAnkleMid.z - wShoulderMid.z, wAnkleMid.y - wShoulderMid.y) * (180 / Math.PI);
+            measurements.pitch_deg = parseFloat(pitch.toFixed(1));
+            if (pitch > this.maxPitchDeg) {
+                issues.push({ code: 'camera_high', level: 'warn', message: '📐 上から見下ろしています。カメラを腰の高さまで下げてください' });
+            } else if (pitch < -this.maxPitchDeg) {
+                issues.push({ code: 'camera_low', level: 'warn', message: '📐 下から見上げています。カメラを腰の高さまで上げてください' });
+            }
+
+            // 5. 横向きか: 腰・肩のラインがカメラの光軸に近いほど真横 (90°)
+            const sideAngle = (this.lineAngleToCamera(worldPose[23], worldPose[24]) +
+                               this.lineAngleToCamera(worldPose[11], worldPose[12])) / 2;
+            measurements.side_angle_deg = parseFloat(sideAngle.toFixed(1));
+            if (this.view === 'side' && sideAngle < this.minSideAngleDeg) {
+                issues.push({ code: 'not_side_on', level: 'warn', message: '🔄 正面から撮影されています。カメラに対して横向きに立ってください' });
+            }
+        }
+
+        return this.toResult(issues, measurements);
+    }
+
+    // block を先に並べ、全体のレベルを決める
+    toResult(issues, measurements) {
+        issues.sort((a, b) => (a.level === b.level ? 0 : (a.level === 'block' ? -1 : 1)));
+        const level = issues.length === 0 ? 'ok' : issues[0].level;
+        return { level: level, issues: issues, measurements: measurements };
+    }
+
+    // 枠 (余白込み) の外に出ている辺
+    findOutsideEdges(points, box) {
+        const edges = [];
+        const m = this.margin;
+        if (points.some(p => p.y < box.top + m)) edges.push('上');
+        if (points.some(p => p.y > box.bottom - m)) edges.push('下');
+        if (points.some(p => p.x < box.left + m)) edges.push('左');
+        if (points.some(p => p.x > box.right - m)) edges.push('右');
+        return edges;
+    }
+
+    // 鼻は頭頂より下にあるため、鼻〜肩の長さの分だけ上に頭頂があるとみなす
+    estimateHeadTop(screenPose) {
+        const shoulderMid = this.getMidPoint(screenPose[11], screenPose[12]);
+        return screenPose[0].y - (shoulderMid.y - screenPose[0].y) * 0.8;
+    }
+
+    // 左右を結ぶ線とカメラの横方向 (X軸) の角度 (0 = 正面, 90 = 真横)
+    lineAngleToCamera(p1, p2) {
+        return Math.atan2(Math.abs(p1.z - p2.z), Math.abs(p1.x - p2.x)) * (180 / Math.PI);
+    }
+
+    // --- Helpers ---
+    isVisible(pt) {
+        return !!pt && (pt.visibility === undefined || pt.visibility >= this.visibilityThreshold);
+    }
+
+    getMidPoint(p1, p2) {
+        return {
+            x: (p1.x + p2.x) / 2,
+            y: (p1.y + p2.y) / 2,
+            z: (p1.z + p2.z) / 2
+        };
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.SetupChecker = SetupChecker;
+} else if (typeof module !== 'undefined') {
+    module.exports = SetupChecker;
+}
@@ -0,0 +1,327 @@
+/**
+ * skeleton-viewer.js
+ * Skeleton Viewer (ワールド座標の3D骨格プレビュー)
+ *
+ * 役割:
+ * 1. 3D のランドマークを透視投影して canvas (2D) に描く (WebGL は使わない)
+ * 2. ドラッグで視点の回転 (オービット)、ホイール・ピンチで拡大縮小、ダブルクリックで視点を元に戻す
+ * 3. 重心 (COG) とその床への投影、手足の軌跡の表示
+ *
+ * 入力は y下向きの3D座標。生のワールド座標 (m) でも、正規化後 (脊柱長 = 1) でもよい。
+ * 大きさは setFrames で渡したフレーム全体が収まるように自動で合わせる。
+ */
+
+// 骨格の線 (MediaPipe の POSE_CONNECTIONS と同じ)
+const SKELETON_VIEWER_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10], // 顔
+    [11, 12], [11, 23], [12, 24], [23, 24],                                   // 体幹
+    [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],               // 左腕
+    [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],               // 右腕
+    [23, 25], [25, 27], [27, 29], [27, 31], [29, 31],                         // 左脚
+    [24, 26], [26, 28], [28, 30], [28, 32], [30, 32]                          // 右脚
+];
+
+// 線の色 (左右で色を分けて、取り違え・ミラーリングの結果を見分けやすくする)
+const SKELETON_VIEWER_COLORS = {
+    left: '#38BDF8',
+    right: '#F87171',
+    center: '#E5E7EB'
+};
+const SKELETON_VIEWER_RIGHT_IDS = [4, 5, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32];
+
+class SkeletonViewer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Array} options.trails - 軌跡を描くランドマーク [{id, color}]
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.trails = options.trails || [];
+        this.frames = [];       // [{pose, cog} | null] (null のフレームは描かない)
+        this.trailRange = [0, 0];
+        this.label = '';
+        this.emptyLabel = '';
+        this.index = 0;
+        this.bounds = { center: { x: 0, y: 0, z: 0 }, radius: 1, floorY: 0 };
+        this.pointers = new Map();
+        this.resetView();
+        this.attachControls();
+    }
+
+    // 視点を初期状態 (斜め前から少し見下ろす) に戻す
+    resetView() {
+        this.yaw = -30;   // Y軸まわりの回転 (deg)
+        this.pitch = 15;  // 見下ろす角度 (deg)
+        this.zoom = 1;
+    }
+
+    /**
+     * 表示するフレームを設定する (大きさ・床の高さはここで合わせる)
+     * @param {Array} frames - [{pose, cog}] (cog は省略可)
+     * @param {Object} options
+     * @param {Array} options.trailRange - 軌跡を描くフレーム範囲 [start, end] (既定: 全体)
+     * @param {String} options.label - 左上に出す説明 (座標系など)
+     * @param {String} options.emptyLabel - null のフレームで中央に出す説明
+     */
+    setFrames(frames, options = {}) {
+        this.frames = frames;
+        this.trailRange = options.trailRange || [0, frames.length - 1];
+        this.label = options.label || '';
+        this.emptyLabel = options.emptyLabel || '';
+        this.bounds = this.computeBounds(frames);
+    }
+
+    show(index) {
+        this.index = index;
+        this.render();
+    }
+
+    render() {
+        const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = Math.round((this.canvas.clientWidth || 300) * dpr);
+        const height = Math.round((this.canvas.clientHeight || 200) * dpr);
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+
+        const view = this.getView(width, height);
+        this.drawFloor(view, dpr);
+
+        const frame = this.frames[this.index];
+        ctx.font = `${10 * dpr}px monospace`;
+        ctx.fillStyle = '#9CA3AF';
+        ctx.fillText(this.label, 4 * dpr, 12 * dpr);
+        if (!frame) {
+            ctx.textAlign = 'center';
+            ctx.fillText(this.emptyLabel, width / 2, height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        this.drawTrails(view, dpr);
+        this.drawSkeleton(frame.pose, view, dpr);
+        if (frame.cog) this.drawCOG(frame.cog, view, dpr);
+    }
+
+    // --- Drawing ---
+    // 床 (フレーム全体で最も低い足の高さ) のグリッド
+    drawFloor(view, dpr) {
+        const { center, radius, floorY } = this.bounds;
+        const step = this.getGridStep(radius);
+        const extent = Math.ceil(radius / step) * step;
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#374151';
+        ctx.lineWidth = 1 * dpr;
+        for (let d = -extent; d <= extent + 1e-9; d += step) {
+            this.drawLine3D(
+                { x: center.x + d, y: floorY, z: center.z - extent },
+                { x: center.x + d, y: floorY, z: center.z + extent }, view);
+            this.drawLine3D(
+                { x: center.x - extent, y: floorY, z: center.z + d },
+                { x: center.x + extent, y: floorY, z: center.z + d }, view);
+        }
+    }
+
+    drawSkeleton(pose, view, dpr) {
+        const ctx = this.ctx;
+        ctx.lineWidth = 2 * dpr;
+        SKELETON_VIEWER_CONNECTIONS.forEach(([a, b]) => {
+            if (!pose[a] || !pose[b]) return;
+            ctx.strokeStyle = this.getSideColor(a, b);
+            this.drawLine3D(pose[a], pose[b], view);
+        });
+        pose.forEach((p, i) => {
+            const s = this.project(p, view);
+            if (!s) return;
+            ctx.fillStyle = this.getSideColor(i, i);
+            ctx.beginPath();
+            ctx.arc(s.x, s.y, 2 * dpr, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // 手足の軌跡 (trailRange の範囲)
+    drawTrails(view, dpr) {
+        const ctx = this.ctx;
+        const [start, end] = this.trailRange;
+        ctx.lineWidth = 1.5 * dpr;
+        this.trails.forEach(trail => {
+            ctx.strokeStyle = trail.color;
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            let penDown = false;
+            for (let i = start; i <= end; i++) {
+                const frame = this.frames[i];
+                const s = frame ? this.project(frame.pose[trail.id], view) : null;
+                if (!s) { penDown = false; continue; }
+                if (penDown) ctx.lineTo(s.x, s.y);
+                else ctx.moveTo(s.x, s.y);
+                penDown = true;
+            }
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        });
+    }
+
+    // 重心と、床への投影 (支持基底面との位置関係の目安)
+    drawCOG(cog, view, dpr) {
+        const ctx = this.ctx;
+        const floor = { x: cog.x, y: this.bounds.floorY, z: cog.z };
+        ctx.strokeStyle = '#FDE047';
+        ctx.lineWidth = 1 * dpr;
+        ctx.setLineDash([3 * dpr, 3 * dpr]);
+        this.drawLine3D(cog, floor, view);
+        ctx.setLineDash([]);
+
+        const s = this.project(cog, view);
+        const f = this.project(floor, view);
+        ctx.fillStyle = '#FDE047';
+        if (s) {
+            ctx.beginPath();
+            ctx.arc(s.x, s.y, 4 * dpr, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (f) {
+            ctx.beginPath();
+            ctx.arc(f.x, f.y, 3 * dpr, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    drawLine3D(p1, p2, view) {
+        const a = this.project(p1, view);
+        const b = this.project(p2, view);
+        if (!a || !b) return;
+        this.ctx.beginPath();
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(b.x, b.y);
+        this.ctx.stroke();
+    }
+
+    // --- Projection ---
+    // 現在の視点 (回転・カメラ距離・焦点距離)
+    getView(width, height) {
+        const yaw = this.yaw * (Math.PI / 180);
+        const pitch = this.pitch * (Math.PI / 180);
+        const distance = this.bounds.radius * 3;
+        return {
+            cosYaw: Math.cos(yaw), sinYaw: Math.sin(yaw),
+            cosPitch: Math.cos(pitch), sinPitch: Math.sin(pitch),
+            distance: distance,
+            focal: (Math.min(width, height) / 2) * 0.9 * (distance - this.bounds.radius) / this.bounds.radius * this.zoom,
+            cx: width / 2,
+            cy: height / 2
+        };
+    }
+
+    // 3D の点を画面の座標 (px) にする (カメラの後ろに回った点は null)
+    project(p, view) {
+        if (!p) return null;
+        const c = this.bounds.center;
+        const x0 = p.x - c.x;
+        const y0 = p.y - c.y;
+        const z0 = p.z - c.z;
+        // Y軸まわり (yaw)
+        const x1 = x0 * view.cosYaw + z0 * view.sinYaw;
+        const z1 = -x0 * view.sinYaw + z0 * view.cosYaw;
+        // X軸まわり (pitch。y下向きなので、奥の点ほど上に見える = 見下ろす)
+        const y2 = y0 * view.cosPitch - z1 * view.sinPitch;
+        const z2 = y0 * view.sinPitch + z1 * view.cosPitch;
+
+        const depth = view.distance + z2;
+        if (depth <= view.distance * 0.05) return null;
+        return {
+            x: view.cx + (x1 * view.focal) / depth,
+            y: view.cy + (y2 * view.focal) / depth
+        };
+    }
+
+    // すべてのフレームが収まる中心・半径と、床の高さ (足の最も低い位置)
+    computeBounds(frames) {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        let floorY = -Infinity;
+        frames.forEach(frame => {
+            if (!frame) return;
+            frame.pose.forEach((p, i) => {
+                ['x', 'y', 'z'].forEach(axis => {
+                    min[axis] = Math.min(min[axis], p[axis]);
+                    max[axis] = Math.max(max[axis], p[axis]);
+                });
+                if (i >= 27) floorY = Math.max(floorY, p.y);
+            });
+        });
+        if (min.x === Infinity) return { center: { x: 0, y: 0, z: 0 }, radius: 1, floorY: 0 };
+
+        const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+        const radius = Math.hypot(max.x - min.x, max.y - min.y, max.z - min.z) / 2 || 1;
+        return { center: center, radius: radius, floorY: floorY };
+    }
+
+    // --- Controls ---
+    attachControls() {
+        const canvas = this.canvas;
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            const last = this.pointers.get(e.pointerId);
+            if (!last) return;
+            if (this.pointers.size === 1) {
+                // 1本指 / マウス: 視点の回転
+                this.yaw += (e.clientX - last.x) * 0.5;
+                this.pitch = Math.min(89, Math.max(-89, this.pitch + (e.clientY - last.y) * 0.5));
+            } else if (this.pointers.size === 2) {
+                // 2本指: ピンチで拡大縮小
+                const other = [...this.pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+                const before = Math.hypot(last.x - other.x, last.y - other.y);
+                const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+                if (before > 0) this.setZoom(this.zoom * (after / before));
+            }
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.render();
+        });
+        const release = (e) => { this.pointers.delete(e.pointerId); };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setZoom(this.zoom * Math.exp(-e.deltaY * 0.001));
+            this.render();
+        }, { passive: false });
+        canvas.addEventListener('dblclick', () => {
+            this.resetView();
+            this.render();
+        });
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(5, Math.max(0.3, zoom));
+    }
+
+    // --- Helpers ---
+    // 線の両端が右側なら右の色、左側なら左の色 (体の中心をまたぐ線は中央の色)
+    getSideColor(a, b) {
+        const side = (id) => (id === 0 ? 'center' : (SKELETON_VIEWER_RIGHT_IDS.includes(id) ? 'right' : 'left'));
+        return side(a) === side(b) ? SKELETON_VIEWER_COLORS[side(a)] : SKELETON_VIEWER_COLORS.center;
+    }
+
+    // グリッドの間隔 (半径に対して 4〜10 本程度になる 1・2・5 刻みの値)
+    getGridStep(radius) {
+        const raw = radius / 4;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const scaled = raw / power;
+        return (scaled < 2 ? 1 : (scaled < 5 ? 2 : 5)) * power;
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.SkeletonViewer = SkeletonViewer;
+} else if (typeof module !== 'undefined') {
+    module.exports = SkeletonViewer;
+}
@@ -0,0 +1,128 @@
+/**
+ * stance.js
+ * Stance Detector (構え (オーソドックス / サウスポー) の自動判定)
+ *
+ * 役割:
+ * 1. テイク冒頭で足が止まっている (構えている) フレームを探す
+ * 2. 体の向いている方向 (肩の中点 → 鼻) に対して、どちらの足・肩が前にあるか
+ * 3. どちらの肩がカメラ側 (ワールド座標の −z) にあるか
+ * 4. 足・肩・カメラ側の肩の判定を重み付けして、構えと確信度 (0-1) を返す
+ *
+ * オーソドックスは左足・左肩が前 (サウスポーはその逆)。
+ * カメラ側の肩が前の肩になるのはカメラの方を向いているときだけなので、
+ * カメラの方を向いている度合い (向きの −z 成分。背を向けていれば負) を掛けて票にする。
+ * 真横から撮ると、この票は 0 になり足と肩の判定だけで決まる。
+ * 入力はワールド座標 (m, 腰中点原点, y下向き)。ミラーリング前の生データで判定する。
+ */
+
+class StanceDetector {
+    /**
+     * @param {Object} options
+     * @param {Number} options.stableFrames - 構えとみなす、足が止まっているフレームの連続数 (既定: 10)
+     * @param {Number} options.stillSpeed - 足首の速さがこれ未満なら止まっている (m/s, 既定: 0.3)
+     * @param {Number} options.footSpread - 前後の足の差がこれ以上あれば足の判定は確実 (m, 既定: 0.2)
+     * @param {Number} options.shoulderSpread - 前後・カメラからの距離の肩の差がこれ以上あれば肩の判定は確実 (m, 既定: 0.1)
+     */
+    constructor(options = {}) {
+        this.stableFrames = options.stableFrames !== undefined ? options.stableFrames : 10;
+        this.stillSpeed = options.stillSpeed !== undefined ? options.stillSpeed : 0.3;
+        this.footSpread = options.footSpread !== undefined ? options.footSpread : 0.2;
+        this.shoulderSpread = options.shoulderSpread !== undefined ? options.shoulderSpread : 0.1;
+        // 判定の重み (合計 1)
+        this.footWeight = 0.5;
+        this.shoulderWeight = 0.3;
+        this.cameraShoulderWeight = 0.2;
+    }
+
+    /**
+     * @param {Array} history - [{time(ms), pose(ワールド座標)}]
+     * @returns {Object} { stance: 'orthodox'|'southpaw'|null, confidence: 0-1, lead_foot, lead_shoulder, camera_shoulder, frames: [start, end] }
+     */
+    detect(history) {
+        const range = this.findStableRange(history);
+        if (!range) return { stance: null, confidence: 0, lead_foot: null, lead_shoulder: null, camera_shoulder: null, frames: null };
+
+        // 構えている間の平均: 正なら左が前 (カメラ側の肩は、正なら左肩がカメラに近い)
+        let footSum = 0, shoulderSum = 0, cameraSum = 0, facingSum = 0;
+        for (let i = range[0]; i <= range[1]; i++) {
+            const pose = history[i].pose;
+            const forward = this.getForward(pose);
+            footSum += this.dot2(this.subtract(pose[27], pose[28]), forward);
+            shoulderSum += this.dot2(this.subtract(pose[11], pose[12]), forward);
+            cameraSum += pose[12].z - pose[11].z;
+            facingSum += -forward.z;
+        }
+        const count = range[1] - range[0] + 1;
+        const foot = footSum / count;
+        const shoulder = shoulderSum / count;
+        const camera = cameraSum / count;
+        const facing = facingSum / count;
+
+        // 差が小さいほど確信度を下げる (正面を向いて足を揃えている等)
+        const footVote = Math.sign(foot) * Math.min(1, Math.abs(foot) / this.footSpread);
+        const shoulderVote = Math.sign(shoulder) * Math.min(1, Math.abs(shoulder) / this.shoulderSpread);
+        const cameraVote = Math.sign(camera) * Math.min(1, Math.abs(camera) / this.shoulderSpread) * facing;
+        const score = this.footWeight * footVote + this.shoulderWeight * shoulderVote + this.cameraShoulderWeight * cameraVote;
+
+        return {
+            stance: score === 0 ? null : (score > 0 ? 'orthodox' : 'southpaw'),
+            confidence: parseFloat(Math.abs(score).toFixed(2)),
+            lead_foot: foot === 0 ? null : (foot > 0 ? 'left' : 'right'),
+            lead_shoulder: shoulder === 0 ? null : (shoulder > 0 ? 'left' : 'right'),
+            camera_shoulder: camera === 0 ? null : (camera > 0 ? 'left' : 'right'),
+            frames: range
+        };
+    }
+
+    // 先頭から、両足首が stableFrames フレーム続けて止まっている最初の区間 (無ければ先頭の区間)
+    findStableRange(history) {
+        if (history.length === 0) return null;
+        const length = Math.min(this.stableFrames, history.length);
+        let run = 0;
+        for (let i = 1; i < history.length; i++) {
+            const dt = (history[i].time - history[i - 1].time) / 1000;
+            const still = dt > 0 && [27, 28].every(id =>
+                this.getDistance(history[i].pose[id], history[i - 1].pose[id]) / dt < this.stillSpeed
+            );
+            run = still ? run + 1 : 0;
+            if (run + 1 >= length) return [i - length + 1, i];
+        }
+        return [0, length - 1];
+    }
+
+    // 体の向いている方向 (肩の中点 → 鼻 を水平面に投影した単位ベクトル)
+    getForward(pose) {
+        const shoulderMid = {
+            x: (pose[11].x + pose[12].x) / 2,
+            z: (pose[11].z + pose[12].z) / 2
+        };
+        const dx = pose[0].x - shoulderMid.x;
+        const dz = pose[0].z - shoulderMid.z;
+        const len = Math.sqrt(dx * dx + dz * dz) || 1;
+        return { x: dx / len, z: dz / len };
+    }
+
+    // --- Helpers ---
+    subtract(p1, p2) {
+        return { x: p1.x - p2.x, z: p1.z - p2.z };
+    }
+
+    dot2(v1, v2) {
+        return v1.x * v2.x + v1.z * v2.z;
+    }
+
+    getDistance(p1, p2) {
+        return Math.sqrt(
+            Math.pow(p1.x - p2.x, 2) +
+            Math.pow(p1.y - p2.y, 2) +
+            Math.pow(p1.z - p2.z, 2)
+        );
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.StanceDetector = StanceDetector;
+} else if (typeof module !== 'undefined') {
+    module.exports = StanceDetector;
+}
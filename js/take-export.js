@@ -0,0 +1,305 @@
+/**
+ * take-export.js
+ * Take Exporter (トリムしたテイクの CSV / BVH 書き出し)
+ *
+ * 役割:
+ * 1. CSV: 1行 = 1フレーム。ランドマークごとに名前付きの列 (生のワールド座標 + visibility、フィルタ後の座標)
+ * 2. BVH: 33点から骨格 (腰・首・頭・腕・脚) の関節の回転を求め、Blender などで読み込める形式にする
+ *
+ * 入力は poseHistory と同じ [{time(ms), pose(ワールド座標)}]。フィルタは生成時と同じ NormalizationEngine。
+ * ブラウザ (recorder.js) と Node.js の CLI (tools/export-take.js) の両方から使う。
+ *
+ * BVH の座標: Y上向き・cm (MediaPipe の y下向き・m から Y軸・Z軸を反転)。キャラクターは +Z を向く。
+ * ワールド座標は腰中点が原点なので、腰の平行移動 (歩く・踏み込む) は出ない。
+ */
+
+// Node環境では依存モジュールを require で読み込む (ブラウザでは先に読み込まれたグローバルを使う)
+const ExportNormalizationEngine = (typeof NormalizationEngine !== 'undefined')
+    ? NormalizationEngine
+    : require('./normalization.js');
+
+/**
+ * BVH の骨格 (親 → 子の順)
+ * at:     関節の位置 (ランドマーク ID、または2点の中点 [a, b])
+ * offset: 基本姿勢 (Tポーズ) で、親の関節からこの関節への向き (長さは at の距離の中央値)
+ * aim:    関節の回転を決める骨の向き [from, to] と、基本姿勢でのその向き (restAim)
+ * hint:   骨のねじれを決める2本目の向き (bend: 3点が作る面の法線 / line: 2点を結ぶ向き) と基本姿勢でのその向き (restHint)
+ * end:    末端 (End Site) の位置
+ */
+const BVH_JOINTS = [
+    { name: 'Hips', parent: null, at: [23, 24],
+        aim: [[23, 24], [11, 12]], restAim: [0, 1, 0], hint: { line: [24, 23] }, restHint: [1, 0, 0] },
+    { name: 'Neck', parent: 'Hips', at: [11, 12], offset: [0, 1, 0],
+        aim: [[11, 12], [7, 8]], restAim: [0, 1, 0], hint: { line: [12, 11] }, restHint: [1, 0, 0] },
+    { name: 'Head', parent: 'Neck', at: [7, 8], offset: [0, 1, 0], end: 0,
+        aim: [[7, 8], 0], restAim: [0, 0, 1], hint: { line: [8, 7] }, restHint: [1, 0, 0] },
+    { name: 'LeftArm', parent: 'Neck', at: 11, offset: [1, 0, 0],
+        aim: [11, 13], restAim: [1, 0, 0], hint: { bend: [11, 13, 15] }, restHint: [0, -1, 0] },
+    { name: 'LeftForeArm', parent: 'LeftArm', at: 13, offset: [1, 0, 0],
+        aim: [13, 15], restAim: [1, 0, 0], hint: { bend: [11, 13, 15] }, restHint: [0, -1, 0] },
+    { name: 'LeftHand', parent: 'LeftForeArm', at: 15, offset: [1, 0, 0], end: [17, 19],
+        aim: [15, [17, 19]], restAim: [1, 0, 0], hint: { bend: [11, 13, 15] }, restHint: [0, -1, 0] },
+    { name: 'RightArm', parent: 'Neck', at: 12, offset: [-1, 0, 0],
+        aim: [12, 14], restAim: [-1, 0, 0], hint: { bend: [12, 14, 16] }, restHint: [0, 1, 0] },
+    { name: 'RightForeArm', parent: 'RightArm', at: 14, offset: [-1, 0, 0],
+        aim: [14, 16], restAim: [-1, 0, 0], hint: { bend: [12, 14, 16] }, restHint: [0, 1, 0] },
+    { name: 'RightHand', parent: 'RightForeArm', at: 16, offset: [-1, 0, 0], end: [18, 20],
+        aim: [16, [18, 20]], restAim: [-1, 0, 0], hint: { bend: [12, 14, 16] }, restHint: [0, 1, 0] },
+    { name: 'LeftUpLeg', parent: 'Hips', at: 23, offset: [1, 0, 0],
+        aim: [23, 25], restAim: [0, -1, 0], hint: { bend: [23, 25, 27] }, restHint: [1, 0, 0] },
+    { name: 'LeftLeg', parent: 'LeftUpLeg', at: 25, offset: [0, -1, 0],
+        aim: [25, 27], restAim: [0, -1, 0], hint: { bend: [23, 25, 27] }, restHint: [1, 0, 0] },
+    { name: 'LeftFoot', parent: 'LeftLeg', at: 27, offset: [0, -1, 0], end: 31,
+        aim: [27, 31], restAim: [0, 0, 1], hint: { bend: [25, 27, 31] }, restHint: [-1, 0, 0] },
+    { name: 'RightUpLeg', parent: 'Hips', at: 24, offset: [-1, 0, 0],
+        aim: [24, 26], restAim: [0, -1, 0], hint: { bend: [24, 26, 28] }, restHint: [1, 0, 0] },
+    { name: 'RightLeg', parent: 'RightUpLeg', at: 26, offset: [0, -1, 0],
+        aim: [26, 28], restAim: [0, -1, 0], hint: { bend: [24, 26, 28] }, restHint: [1, 0, 0] },
+    { name: 'RightFoot', parent: 'RightLeg', at: 28, offset: [0, -1, 0], end: 32,
+        aim: [28, 32], restAim: [0, 0, 1], hint: { bend: [26, 28, 32] }, restHint: [-1, 0, 0] }
+];
+
+class TakeExporter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.filter - NormalizationEngine に渡す One Euro Filter の設定 (生成時と同じ)
+     */
+    constructor(options = {}) {
+        this.engine = new ExportNormalizationEngine(options.filter);
+        this.minFrames = 2;      // 書き出しに必要な最低フレーム数
+        this.hintMinSin = 0.05;  // 骨がほぼ一直線ならねじれの向きは親の関節から決める (sin の閾値)
+    }
+
+    /**
+     * CSV (1行 = 1フレーム)
+     * 列: frame, time_sec, raw_<ランドマーク名>_x/y/z/visibility, filtered_<ランドマーク名>_x/y/z
+     * @param {Array} frames - [{time(ms), pose}]
+     * @param {Object} options - start, end (フレーム番号, endを含む)
+     * @returns {String}
+     */
+    toCSV(frames, options = {}) {
+        const trimmed = this.trim(frames, options);
+        const filtered = this.filterFrames(trimmed);
+        const names = ExportNormalizationEngine.LANDMARK_NAMES;
+
+        const header = ['frame', 'time_sec']
+            .concat(...names.map(name => ['x', 'y', 'z', 'visibility'].map(col => `raw_${name}_${col}`)))
+            .concat(...names.map(name => ['x', 'y', 'z'].map(col => `filtered_${name}_${col}`)));
+
+        const startTime = trimmed[0].time;
+        const rows = trimmed.map((frame, i) => [
+            (options.start || 0) + i,
+            this.format((frame.time - startTime) / 1000)
+        ].concat(
+            ...names.map((_, id) => {
+                const p = frame.pose[id];
+                const visibility = p.visibility !== undefined ? p.visibility : p.v;
+                return [this.format(p.x), this.format(p.y), this.format(p.z), visibility !== undefined ? this.format(visibility) : ''];
+            }),
+            ...names.map((_, id) => {
+                const p = filtered[i][id];
+                return [this.format(p.x), this.format(p.y), this.format(p.z)];
+            })
+        ));
+
+        return [header].concat(rows).map(row => row.join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * BVH (骨格の階層 + フレームごとの腰の位置と各関節の回転)
+     * @param {Array} frames - [{time(ms), pose}]
+     * @param {Object} options - start, end (フレーム番号, endを含む), filtered (フィルタ後の座標を使う, 既定: true)
+     * @returns {String}
+     */
+    toBVH(frames, options = {}) {
+        const trimmed = this.trim(frames, options);
+        const poses = (options.filtered !== false ? this.filterFrames(trimmed) : trimmed.map(frame => frame.pose))
+            .map(pose => pose.map(p => this.toBvhAxes(p)));
+
+        // 骨の長さ (テイク全体の中央値) と、床から腰までの高さ
+        const lengths = {};
+        BVH_JOINTS.forEach(joint => {
+            if (joint.parent) {
+                const parent = BVH_JOINTS.find(j => j.name === joint.parent);
+                lengths[joint.name] = this.median(poses.map(pose => this.length(this.subtract(this.getPoint(pose, joint.at), this.getPoint(pose, parent.at)))));
+            }
+            if (joint.end !== undefined) {
+                lengths[`${joint.name}_end`] = this.median(poses.map(pose => this.length(this.subtract(this.getPoint(pose, joint.end), this.getPoint(pose, joint.at)))));
+            }
+        });
+        const hipHeight = this.median(poses.map(pose => {
+            const hips = this.getPoint(pose, [23, 24]);
+            return hips[1] - Math.min(...[27, 28, 29, 30, 31, 32].map(id => pose[id][1]));
+        }));
+
+        const motion = poses.map(pose => {
+            const globals = {};
+            const values = [];
+            BVH_JOINTS.forEach(joint => {
+                const parentGlobal = joint.parent ? globals[joint.parent] : this.identity();
+                const global = this.getJointRotation(pose, joint, parentGlobal);
+                globals[joint.name] = global;
+                if (!joint.parent) {
+                    const hips = this.getPoint(pose, joint.at);
+                    values.push(hips[0], hips[1] + hipHeight, hips[2]);
+                }
+                // 親の座標系から見た回転 (ZXY のオイラー角)
+                values.push(...this.toEulerZXY(this.multiply(this.transpose(parentGlobal), global)));
+            });
+            return values.map(v => this.format(v, 4)).join(' ');
+        });
+
+        const duration = (trimmed[trimmed.length - 1].time - trimmed[0].time) / 1000;
+        return [
+            'HIERARCHY',
+            ...this.buildHierarchy(null, lengths, 0),
+            'MOTION',
+            `Frames: ${motion.length}`,
+            // BVH は一定間隔なので、記録時の平均フレーム間隔にする
+            `Frame Time: ${this.format(duration / (motion.length - 1), 6)}`,
+            ...motion
+        ].join('\n') + '\n';
+    }
+
+    // 関節の向き (ワールド座標系での回転行列)。骨の向き (aim) とねじれ (hint) から決める
+    getJointRotation(pose, joint, parentGlobal) {
+        const aim = this.subtract(this.getPoint(pose, joint.aim[1]), this.getPoint(pose, joint.aim[0]));
+        let hint;
+        if (joint.hint.line) {
+            hint = this.subtract(this.getPoint(pose, joint.hint.line[1]), this.getPoint(pose, joint.hint.line[0]));
+        } else {
+            const [a, b, c] = joint.hint.bend.map(id => pose[id]);
+            hint = this.cross(this.normalize(this.subtract(b, a)), this.normalize(this.subtract(c, b)));
+        }
+        // 骨がほぼ一直線 (曲げの面が決まらない) なら、親の関節と同じねじれにする
+        if (this.length(hint) < this.hintMinSin) hint = this.apply(parentGlobal, joint.restHint);
+
+        const current = this.basis(aim, hint);
+        const rest = this.basis(joint.restAim, joint.restHint);
+        return this.multiply(current, this.transpose(rest));
+    }
+
+    // 階層 (HIERARCHY) のテキスト
+    buildHierarchy(parentName, lengths, depth) {
+        const indent = '\t'.repeat(depth);
+        const lines = [];
+        BVH_JOINTS.filter(joint => joint.parent === parentName).forEach(joint => {
+            const offset = joint.parent ? joint.offset.map(v => v * lengths[joint.name]) : [0, 0, 0];
+            lines.push(`${indent}${joint.parent ? 'JOINT' : 'ROOT'} ${joint.name}`, `${indent}{`);
+            lines.push(`${indent}\tOFFSET ${offset.map(v => this.format(v, 4)).join(' ')}`);
+            lines.push(joint.parent
+                ? `${indent}\tCHANNELS 3 Zrotation Xrotation Yrotation`
+                : `${indent}\tCHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation`);
+            lines.push(...this.buildHierarchy(joint.name, lengths, depth + 1));
+            if (joint.end !== undefined) {
+                const end = joint.restAim.map(v => v * lengths[`${joint.name}_end`]);
+                lines.push(`${indent}\tEnd Site`, `${indent}\t{`, `${indent}\t\tOFFSET ${end.map(v => this.format(v, 4)).join(' ')}`, `${indent}\t}`);
+            }
+            lines.push(`${indent}}`);
+        });
+        return lines;
+    }
+
+    // トリム範囲 (短すぎる場合はエラー)
+    trim(frames, options) {
+        const start = options.start !== undefined ? options.start : 0;
+        const end = options.end !== undefined ? options.end : frames.length - 1;
+        const trimmed = frames.slice(start, end + 1);
+        if (trimmed.length < this.minFrames) {
+            throw new Error(`選択範囲が短すぎます (${trimmed.length} frames)`);
+        }
+        return trimmed;
+    }
+
+    // 生成時と同じく、トリム範囲の先頭からフィルタをかける
+    filterFrames(trimmed) {
+        this.engine.reset();
+        const startTime = trimmed[0].time;
+        return trimmed.map(frame => this.engine.applyFilter(frame.pose, (frame.time - startTime) / 1000));
+    }
+
+    // --- Helpers ---
+    // MediaPipe (y下向き・m) → BVH (Y上向き・cm)。[x, y, z] の配列にする
+    toBvhAxes(p) {
+        return [p.x * 100, -p.y * 100, -p.z * 100];
+    }
+
+    // ランドマーク ID、または2点の中点 [a, b]
+    getPoint(pose, spec) {
+        if (!Array.isArray(spec)) return pose[spec];
+        const a = pose[spec[0]];
+        const b = pose[spec[1]];
+        return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+    }
+
+    // aim を1軸目、hint を (aim と直交化して) 3軸目にした正規直交基底 (列ベクトルの 3x3 行列)
+    basis(aim, hint) {
+        const e1 = this.normalize(aim);
+        const e3 = this.normalize(this.subtract(hint, e1.map(v => v * this.dot(hint, e1))));
+        const e2 = this.cross(e3, e1);
+        return [0, 1, 2].map(row => [e1[row], e2[row], e3[row]]);
+    }
+
+    // R = Rz(z)·Rx(x)·Ry(y) の角度 [z, x, y] (deg)
+    toEulerZXY(m) {
+        const toDeg = 180 / Math.PI;
+        const x = Math.asin(Math.min(1, Math.max(-1, m[2][1])));
+        const z = Math.atan2(-m[0][1], m[1][1]);
+        const y = Math.atan2(-m[2][0], m[2][2]);
+        return [z * toDeg, x * toDeg, y * toDeg];
+    }
+
+    identity() {
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+
+    multiply(a, b) {
+        return a.map(row => [0, 1, 2].map(col => row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+    }
+
+    transpose(m) {
+        return [0, 1, 2].map(row => [m[0][row], m[1][row], m[2][row]]);
+    }
+
+    apply(m, v) {
+        return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    }
+
+    subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    length(v) {
+        return Math.sqrt(this.dot(v, v));
+    }
+
+    normalize(v) {
+        const len = this.length(v);
+        return len > 0 ? v.map(c => c / len) : [0, 0, 0];
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    format(value, digits = 5) {
+        return parseFloat(value.toFixed(digits));
+    }
+}
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.TakeExporter = TakeExporter;
+} else if (typeof module !== 'undefined') {
+    module.exports = TakeExporter;
+}
@@ -0,0 +1,157 @@
+/**
+ * video-capture.js
+ * Video Capture (カメラ映像の録画とクリップの書き出し)
+ *
+ * 役割:
+ * 1. 録画中のカメラ映像を MediaRecorder で保存 (開始時刻を poseHistory と同じ Date.now() 基準で記録)
+ * 2. 映像の一部を、骨格などを重ねて書き出す (canvas を再生しながら録画する)
+ *
+ * poseHistory の time(ms) - startTime が映像内の時刻になる。
+ * 動画ファイルから読み込んだテイクは time が動画内の時刻なので startTime = 0。
+ */
+
+class VideoCapture {
+    constructor() {
+        this.recorder = null;
+        this.chunks = [];
+        this.startTime = null;
+    }
+
+    // 端末が録画できる形式 (Chrome/Android: WebM, Safari/iOS: MP4)
+    static pickMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    static isSupported() {
+        return VideoCapture.pickMimeType() !== null;
+    }
+
+    get isRecording() {
+        return this.recorder !== null && this.recorder.state !== 'inactive';
+    }
+
+    /**
+     * 録画を始める
+     * @param {MediaStream} stream - カメラの映像
+     * @returns {Boolean} 開始できたか (非対応・ストリーム無しなら false)
+     */
+    start(stream) {
+        if (!stream || !VideoCapture.isSupported()) return false;
+        const mimeType = VideoCapture.pickMimeType();
+        this.chunks = [];
+        this.startTime = Date.now();
+        this.recorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : undefined);
+        this.recorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) this.chunks.push(e.data); };
+        // 実際に録画が始まった時刻に合わせる
+        this.recorder.onstart = () => { this.startTime = Date.now(); };
+        this.recorder.start(1000);
+        return true;
+    }
+
+    /**
+     * 録画を止めて映像を返す
+     * @returns {Promise<Object|null>} { blob, mimeType, startTime } (録画していなければ null。録画エラー時は reject)
+     */
+    stop() {
+        if (!this.isRecording) return Promise.resolve(null);
+        const recorder = this.recorder;
+        return new Promise((resolve, reject) => {
+            recorder.onerror = (e) => {
+                this.recorder = null;
+                this.chunks = [];
+                reject(e.error || new Error('録画に失敗しました'));
+            };
+            recorder.onstop = () => {
+                const mimeType = recorder.mimeType || (this.chunks[0] && this.chunks[0].type) || 'video/webm';
+                const blob = new Blob(this.chunks, { type: mimeType });
+                this.recorder = null;
+                this.chunks = [];
+                resolve(blob.size > 0 ? { blob: blob, mimeType: mimeType, startTime: this.startTime } : null);
+            };
+            recorder.stop();
+        });
+    }
+
+    /**
+     * 映像の fromSec〜toSec を書き出す (実時間で再生しながら録画する)
+     * @param {HTMLVideoElement} video - 書き出す映像を読み込んだ video 要素
+     * @param {Number} fromSec
+     * @param {Number} toSec
+     * @param {Function} drawOverlay - (ctx, timeSec, width, height) 映像の上に描く (骨格など)
+     * @returns {Promise<Blob>}
+     */
+    static async exportClip(video, fromSec, toSec, drawOverlay) {
+        const mimeType = VideoCapture.pickMimeType();
+        if (mimeType === null) throw new Error('この端末は動画の書き出しに対応していません');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        const draw = () => {
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            if (drawOverlay) drawOverlay(ctx, video.currentTime, canvas.width, canvas.height);
+        };
+
+        video.pause();
+        video.currentTime = Math.max(0, fromSec);
+        await VideoCapture.waitForEvent(video, 'seeked', VideoCapture.SEEK_TIMEOUT_MS);
+        draw();
+
+        const chunks = [];
+        const recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType: mimeType } : undefined);
+        recorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunks.push(e.data); };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        await video.play();
+
+        await new Promise(resolve => {
+            const loop = () => {
+                draw();
+                if (video.currentTime >= toSec || video.ended || video.paused) {
+                    video.pause();
+                    resolve();
+                    return;
+                }
+                requestAnimationFrame(loop);
+            };
+            loop();
+        });
+        recorder.stop();
+        await stopped;
+        return new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' });
+    }
+
+    /**
+     * type のイベントを待つ (error イベント・timeoutMs の経過で reject。シークに失敗した動画で止まったままにしない)
+     * @param {HTMLMediaElement} target
+     * @param {String} type
+     * @param {Number} timeoutMs
+     * @returns {Promise<Event>}
+     */
+    static waitForEvent(target, type, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                target.removeEventListener(type, onEvent);
+                target.removeEventListener('error', onError);
+            };
+            const onEvent = (e) => { cleanup(); resolve(e); };
+            const onError = () => { cleanup(); reject(new Error('映像を読み込めません')); };
+            const timer = setTimeout(() => { cleanup(); reject(new Error(`映像の読み込みがタイムアウトしました (${type})`)); }, timeoutMs);
+            target.addEventListener(type, onEvent);
+            target.addEventListener('error', onError);
+        });
+    }
+}
+
+VideoCapture.SEEK_TIMEOUT_MS = 10000; // 書き出し開始位置へのシークを待つ最長時間
+
+// ブラウザ環境とNode環境の両対応
+if (typeof window !== 'undefined') {
+    window.VideoCapture = VideoCapture;
+} else if (typeof module !== 'undefined') {
+    module.exports = VideoCapture;
+}
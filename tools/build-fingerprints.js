@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * build-fingerprints.js
+ * 生のテイクJSONから V3.2 fingerprint JSON を一括生成する CLI
+ *
+ * 使い方:
+ *   node tools/build-fingerprints.js [options] <take.json>...
+ *
+ * 入力: ライブラリの「生データ書き出し」形式 ({ frames: [...], name, performer, stance, heightCm })
+ *       または poseHistory と同じフレーム配列 ([{time, pose, screenPose}, ...])
+ * 出力: <out>/<入力ファイル名>.fingerprint.json (特徴抽出を変えたときに同じ名前で再生成できる)
+ *       --both-stances のときは、左右反転したサウスポー用を <入力ファイル名>.southpaw.fingerprint.json にも書き出す
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const FingerprintPipeline = require('../js/pipeline.js');
+
+// 指定された構えと自動判定が食い違うとき、この確信度以上なら警告する
+const STANCE_WARN_CONFIDENCE = 0.5;
+
+const USAGE = `Usage: node tools/build-fingerprints.js [options] <take.json>...
+
+Options:
+  --name <name>          技名 (省略時: テイクの name、無ければ入力ファイル名)
+  --performer <name>     実演者
+  --stance <stance>      orthodox | southpaw (省略時: テイクの stance、無ければ映像からの自動判定)
+  --height <cm>          身長 (省略時: テイクの heightCm、無ければ 170)
+  --start <frame>        トリム開始フレーム (省略時: 0)
+  --end <frame>          トリム終了フレーム (endを含む、省略時: 最終フレーム)
+  --filter <profile>     平滑化の設定 adaptive | smooth | responsive | legacy (省略時: adaptive)
+  --both-stances         右利き用に加えて、左右反転したサウスポー用も書き出す
+  --out <dir>            出力先ディレクトリ (省略時: カレントディレクトリ)
+  -h, --help             このヘルプを表示`;
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            name: { type: 'string' },
+            performer: { type: 'string' },
+            stance: { type: 'string' },
+            height: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            filter: { type: 'string', default: 'adaptive' },
+            'both-stances': { type: 'boolean' },
+            out: { type: 'string', default: '.' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    if (values.stance && !['orthodox', 'southpaw'].includes(values.stance)) {
+        throw new Error(`--stance は orthodox か southpaw を指定してください: ${values.stance}`);
+    }
+
+    const pipeline = new FingerprintPipeline({ filter: { profile: values.filter } });
+    fs.mkdirSync(values.out, { recursive: true });
+
+    let failed = 0;
+    positionals.forEach(inputPath => {
+        try {
+            const outputPaths = buildOne(pipeline, inputPath, values);
+            console.log(`${inputPath} -> ${outputPaths.join(', ')}`);
+        } catch (err) {
+            failed++;
+            console.error(`${inputPath}: ${err.message}`);
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+function buildOne(pipeline, inputPath, values) {
+    const take = loadTake(inputPath);
+    const baseName = path.basename(inputPath, path.extname(inputPath));
+
+    const detected = pipeline.stanceDetector.detect(take.frames);
+    const height = parsePositiveNumber(values.height, '--height');
+    const options = {
+        name: values.name || take.name || baseName,
+        performer: values.performer || take.performer,
+        stance: values.stance || take.stance || detected.stance || 'orthodox',
+        heightCm: height !== undefined ? height : (take.heightCm || 170),
+        start: parseFrameIndex(values.start, '--start'),
+        end: parseFrameIndex(values.end, '--end')
+    };
+    const outputs = values['both-stances']
+        ? pipeline.buildBothStances(take.frames, options)
+        : [pipeline.build(take.frames, options)];
+
+    if (detected.stance && detected.stance !== options.stance && detected.confidence >= STANCE_WARN_CONFIDENCE) {
+        console.warn(`${inputPath}: 構えは ${options.stance} ですが、映像からは ${detected.stance} に見えます (確信度 ${detected.confidence})`);
+    }
+
+    return outputs.map(output => {
+        const suffix = output.fingerprint_stance === 'southpaw' ? '.southpaw' : '';
+        const outputPath = path.join(values.out, `${baseName}${suffix}.fingerprint.json`);
+        fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+        return outputPath;
+    });
+}
+
+// 生データJSONを読み込み、{ frames, name, performer, stance, heightCm } に揃える
+function loadTake(inputPath) {
+    const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    const take = Array.isArray(data) ? { frames: data } : data;
+    if (!Array.isArray(take.frames) || take.frames.length === 0) {
+        throw new Error('フレームがありません');
+    }
+    take.frames.forEach((frame, i) => {
+        if (typeof frame.time !== 'number' || !Array.isArray(frame.pose) || frame.pose.length < 33) {
+            throw new Error(`フレーム ${i} の形式が不正です ({time, pose[33]} が必要)`);
+        }
+    });
+    return take;
+}
+
+// 正の数のオプション (身長など)。0・負数・数値でない値は受け付けない
+function parsePositiveNumber(value, optionName) {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (value.trim() === '' || !Number.isFinite(n) || n <= 0) {
+        throw new Error(`${optionName} に正の数を指定してください: ${value}`);
+    }
+    return n;
+}
+
+// フレーム番号 (0 以上の整数) のオプション。小数・負数・"1e3" のような表記は受け付けない
+function parseFrameIndex(value, optionName) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) throw new Error(`${optionName} に 0 以上の整数 (フレーム番号) を指定してください: ${value}`);
+    return Number(value);
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main, loadTake, parseFrameIndex };
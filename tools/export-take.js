@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * export-take.js
+ * 生のテイクJSONを CSV (表計算ソフト用) / BVH (Blender などのアニメーション用) に書き出す CLI
+ *
+ * 使い方:
+ *   node tools/export-take.js [options] <take.json>...
+ *
+ * 入力: build-fingerprints.js と同じ (ライブラリの「生データ書き出し」形式、またはフレーム配列)
+ * 出力: <out>/<入力ファイル名>.csv, <out>/<入力ファイル名>.bvh
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const TakeExporter = require('../js/take-export.js');
+const { loadTake, parseFrameIndex } = require('./build-fingerprints.js');
+
+const EXPORT_FORMATS = ['csv', 'bvh'];
+
+const USAGE = `Usage: node tools/export-take.js [options] <take.json>...
+
+Options:
+  --format <formats>     csv | bvh | csv,bvh (省略時: csv,bvh)
+  --start <frame>        トリム開始フレーム (省略時: 0)
+  --end <frame>          トリム終了フレーム (endを含む、省略時: 最終フレーム)
+  --filter <profile>     平滑化の設定 adaptive | smooth | responsive | legacy (省略時: adaptive)
+  --raw-bvh              BVH をフィルタ前の座標から作る
+  --out <dir>            出力先ディレクトリ (省略時: カレントディレクトリ)
+  -h, --help             このヘルプを表示`;
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: EXPORT_FORMATS.join(',') },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            filter: { type: 'string', default: 'adaptive' },
+            'raw-bvh': { type: 'boolean' },
+            out: { type: 'string', default: '.' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    const formats = values.format.split(',').map(f => f.trim()).filter(f => f);
+    const unknown = formats.filter(f => !EXPORT_FORMATS.includes(f));
+    if (formats.length === 0 || unknown.length > 0) {
+        throw new Error(`--format は ${EXPORT_FORMATS.join(' / ')} を指定してください: ${values.format}`);
+    }
+
+    const exporter = new TakeExporter({ filter: { profile: values.filter } });
+    fs.mkdirSync(values.out, { recursive: true });
+
+    let failed = 0;
+    positionals.forEach(inputPath => {
+        try {
+            const outputPaths = exportOne(exporter, inputPath, formats, values);
+            console.log(`${inputPath} -> ${outputPaths.join(', ')}`);
+        } catch (err) {
+            failed++;
+            console.error(`${inputPath}: ${err.message}`);
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+function exportOne(exporter, inputPath, formats, values) {
+    const take = loadTake(inputPath);
+    const baseName = path.basename(inputPath, path.extname(inputPath));
+    const range = {
+        start: parseFrameIndex(values.start, '--start'),
+        end: parseFrameIndex(values.end, '--end')
+    };
+
+    return formats.map(format => {
+        const text = format === 'csv'
+            ? exporter.toCSV(take.frames, range)
+            : exporter.toBVH(take.frames, { ...range, filtered: !values['raw-bvh'] });
+        const outputPath = path.join(values.out, `${baseName}.${format}`);
+        fs.writeFileSync(outputPath, text);
+        return outputPath;
+    });
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main };
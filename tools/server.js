@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * server.js
+ * PC側のコンパニオンサーバー (依存パッケージなし)
+ *
+ * 役割:
+ * 1. PWA (index.html, js/ など) の配信
+ * 2. POST /api/save-fingerprint: fingerprint JSON の検証と保存 (ファイル名は重複しないように採番)
+ *    旧バージョンのJSONは現行バージョンに移行して保存する (js/schema.js)
+ * 3. GET /api/fingerprints, GET/DELETE /api/fingerprints/<filename>: 保存済みデータの一覧・取得・削除
+ * 4. POST /api/save-clip?fingerprint=<filename>: 動画クリップを fingerprint JSON と同じ名前で保存
+ *
+ * 使い方:
+ *   node tools/server.js [--port 3000] [--dir ./fingerprints]
+ *
+ * スマホのカメラは HTTPS が必要なため、ngrok などで転送して使う
+ * (レコーダーは相対パス '/api/...' で送信するので、そのまま届く)。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { parseArgs } = require('util');
+const FingerprintSchema = require('../js/schema.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_CLIP_BYTES = 200 * 1024 * 1024;
+const DRAIN_TIMEOUT_MS = 5000; // 大きすぎる本体を読み捨てる最長時間 (過ぎたら接続を切る)
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.css': 'text/css; charset=utf-8',
+    '.webm': 'video/webm',
+    '.mp4': 'video/mp4'
+};
+
+// 動画クリップの Content-Type → 拡張子
+const CLIP_EXTENSIONS = {
+    'video/webm': '.webm',
+    'video/mp4': '.mp4'
+};
+
+// PWAとして配信するパス (tools/ や保存データは配信しない)
+const STATIC_ENTRIES = ['index.html', 'manifest.json', 'icon.png', 'js'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class FingerprintStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * 保存する (同名ファイルがあれば -2, -3 ... を付ける)
+     * @returns {String} 保存したファイル名
+     */
+    save(data) {
+        const base = this.toSlug(data.name);
+        for (let n = 1; ; n++) {
+            const filename = n === 1 ? `${base}.json` : `${base}-${n}.json`;
+            try {
+                // 'wx': 既に存在すれば失敗する (同時保存でも上書きしない)
+                fs.writeFileSync(path.join(this.dir, filename), JSON.stringify(data, null, 2), { flag: 'wx' });
+                return filename;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+        }
+    }
+
+    list() {
+        return fs.readdirSync(this.dir)
+            .filter(f => f.endsWith('.json'))
+            .map(filename => {
+                const filePath = path.join(this.dir, filename);
+                const stat = fs.statSync(filePath);
+                let data = {};
+                try {
+                    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                } catch (err) {
+                    // 壊れたファイルも一覧には出す (削除できるように)
+                }
+                return {
+                    filename: filename,
+                    clip: this.findClip(filename),
+                    name: data.name || null,
+                    performer: data.performer || null,
+                    version: data.version || null,
+                    created_at: data.created_at || null,
+                    frames: data.frames || null,
+                    size: stat.size,
+                    modified_at: stat.mtime.toISOString()
+                };
+            })
+            .sort((a, b) => b.modified_at.localeCompare(a.modified_at));
+    }
+
+    get(filename) {
+        return JSON.parse(fs.readFileSync(this.resolve(filename), 'utf8'));
+    }
+
+    delete(filename) {
+        fs.unlinkSync(this.resolve(filename));
+        const clip = this.findClip(filename);
+        if (clip) fs.unlinkSync(path.join(this.dir, clip));
+    }
+
+    /**
+     * fingerprint JSON と同じ名前で動画クリップを保存する (既にあれば上書き)
+     * 大きな動画をメモリに溜めないよう、一時ファイルに書き込んでから置き換える
+     * @param {String} fingerprintFilename
+     * @param {String} extension - '.webm' など
+     * @param {http.IncomingMessage} req - 動画を本体に持つリクエスト
+     * @returns {Promise<String>} 保存したファイル名
+     */
+    async saveClip(fingerprintFilename, extension, req) {
+        this.resolve(fingerprintFilename);
+        const filename = path.basename(fingerprintFilename, '.json') + extension;
+        const tempPath = path.join(this.dir, `.${filename}.${process.pid}-${Date.now()}.tmp`);
+        try {
+            const size = await writeBodyToFile(req, tempPath, MAX_CLIP_BYTES);
+            if (size === 0) throw new HttpError(400, '動画が空です');
+            const previous = this.findClip(fingerprintFilename);
+            if (previous) fs.unlinkSync(path.join(this.dir, previous));
+            fs.renameSync(tempPath, path.join(this.dir, filename));
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+        return filename;
+    }
+
+    // fingerprint JSON に対応する動画クリップのファイル名 (無ければ null)
+    findClip(fingerprintFilename) {
+        const base = path.basename(fingerprintFilename, '.json');
+        const extension = Object.values(CLIP_EXTENSIONS).find(ext => fs.existsSync(path.join(this.dir, base + ext)));
+        return extension ? base + extension : null;
+    }
+
+    // ディレクトリ外を指すファイル名は拒否する
+    resolve(filename) {
+        if (!/^[^/\\]+\.json$/.test(filename) || filename.startsWith('.')) {
+            throw new HttpError(400, `不正なファイル名です: ${filename}`);
+        }
+        const filePath = path.join(this.dir, filename);
+        if (!fs.existsSync(filePath)) {
+            throw new HttpError(404, `ファイルがありません: ${filename}`);
+        }
+        return filePath;
+    }
+
+    // 技名からファイル名を作る (日本語はそのまま、ファイル名に使えない文字は _ に置換)
+    toSlug(name) {
+        const slug = String(name)
+            .replace(/[\\/:*?"<>|\x00-\x1f\s]+/g, '_')
+            .replace(/^[._]+/, '')
+            .slice(0, 80);
+        return slug || 'fingerprint';
+    }
+}
+
+function createServer(store) {
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(req, res, url, store);
+            } else {
+                serveStatic(req, res, url);
+            }
+        } catch (err) {
+            const status = err.status || (err instanceof URIError ? 400 : 500);
+            if (status === 500) console.error(err);
+            // 本体を読み残した要求 (413 など) は、残りを読み捨てて応答を届けてから接続を閉じる
+            // (送り続けられても DRAIN_TIMEOUT_MS で切る)
+            if (!req.complete) {
+                res.setHeader('Connection', 'close');
+                req.resume();
+                res.on('finish', () => {
+                    const timer = setTimeout(() => req.destroy(), DRAIN_TIMEOUT_MS);
+                    req.on('close', () => clearTimeout(timer));
+                });
+            }
+            sendJson(res, status, { success: false, error: err.message });
+        }
+    });
+}
+
+async function handleApi(req, res, url, store) {
+    if (url.pathname === '/api/save-fingerprint' && req.method === 'POST') {
+        let data;
+        try {
+            data = JSON.parse((await readBody(req)).toString('utf8'));
+        } catch (err) {
+            throw err instanceof HttpError ? err : new HttpError(400, 'JSONとして読めません');
+        }
+        const result = FingerprintSchema.validate(data);
+        if (!result.valid) throw new HttpError(400, result.errors.join(' / '));
+
+        const filename = store.save(FingerprintSchema.migrate(data));
+        console.log(`saved: ${filename}`);
+        return sendJson(res, 200, { success: true, filename: filename });
+    }
+
+    if (url.pathname === '/api/save-clip' && req.method === 'POST') {
+        const fingerprint = url.searchParams.get('fingerprint');
+        if (!fingerprint) throw new HttpError(400, 'fingerprint を指定してください');
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        const extension = CLIP_EXTENSIONS[contentType];
+        if (!extension) throw new HttpError(415, `未対応の動画形式です: ${contentType || '(なし)'}`);
+
+        const filename = await store.saveClip(fingerprint, extension, req);
+        console.log(`saved clip: ${filename}`);
+        return sendJson(res, 200, { success: true, filename: filename });
+    }
+
+    if (url.pathname === '/api/fingerprints' && req.method === 'GET') {
+        return sendJson(res, 200, { success: true, fingerprints: store.list() });
+    }
+
+    const match = url.pathname.match(/^\/api\/fingerprints\/([^/]+)$/);
+    if (match) {
+        const filename = decodeURIComponent(match[1]);
+        if (req.method === 'GET') {
+            return sendJson(res, 200, store.get(filename));
+        }
+        if (req.method === 'DELETE') {
+            store.delete(filename);
+            console.log(`deleted: ${filename}`);
+            return sendJson(res, 200, { success: true });
+        }
+    }
+
+    throw new HttpError(404, `API がありません: ${req.method} ${url.pathname}`);
+}
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method Not Allowed');
+
+    const relPath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT, relPath);
+    const allowed = STATIC_ENTRIES.some(entry => {
+        const entryPath = path.join(ROOT, entry);
+        return filePath === entryPath || filePath.startsWith(entryPath + path.sep);
+    });
+    if (!allowed || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        throw new HttpError(404, 'Not Found');
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(filePath).pipe(res);
+}
+
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // 残りは読み捨てる (ここで接続を切ると 413 の応答が届かない)
+                req.off('data', onData);
+                req.off('end', onEnd);
+                req.resume();
+                reject(new HttpError(413, 'データが大きすぎます'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => resolve(Buffer.concat(chunks));
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', reject);
+    });
+}
+
+// 本体をファイルに書き込む (maxBytes を超えたら残りは読み捨てて 413)
+function writeBodyToFile(req, filePath, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        let size = 0;
+        const fail = (err) => {
+            req.off('data', onData);
+            req.off('end', onEnd);
+            req.resume();
+            output.destroy();
+            reject(err);
+        };
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) return fail(new HttpError(413, 'データが大きすぎます'));
+            // 書き込みが追いつかなければ読み込みを止める
+            if (!output.write(chunk)) {
+                req.pause();
+                output.once('drain', () => req.resume());
+            }
+        };
+        const onEnd = () => output.end();
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', () => resolve(size));
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.PORT || '3000' },
+            dir: { type: 'string', default: path.join(ROOT, 'fingerprints') }
+        }
+    });
+    const store = new FingerprintStore(values.dir);
+    createServer(store).listen(Number(values.port), () => {
+        console.log(`Kick Recorder server: http://localhost:${values.port}/`);
+        console.log(`fingerprints: ${store.dir}`);
+    });
+}
+
+module.exports = { createServer, FingerprintStore };